@@ -4,36 +4,120 @@
  * A simple text snippet management plugin that provides:
  * - Dynamic snippet creation and management through settings interface
  * - Template support with {1}, {2}, etc. placeholders for selected text
+ * - Chainable text filters on placeholders, e.g. {1|trim|slug} or {selection|wikilink}
+ * - Per-snippet selection modes (lines, whole selection, repeat per line, paragraphs, regex, delimiter)
+ * - Named {{placeholders}} with defaults and option lists, filled through a prompt form
+ * - {{#each line}}...{{/each}} repeat blocks applied to every selected line
+ * - {{#if selection}}...{{else}}...{{/if}} conditional sections
+ * - {{> key}} includes of other snippets, expanded recursively
+ * - Built-in variables for dates, the current note, its frontmatter and the clipboard
+ * - VS Code-style $1, ${1:default} tab stops navigated with Tab/Shift-Tab
+ * - Typed trigger abbreviations that expand inline
+ * - Inline autocomplete suggestions after a trigger string
+ * - Import and export of snippet libraries (Insertive JSON, VS Code snippets, Espanso YAML)
  * - Multiple insertion methods: command palette, keybinds, and context menu
+ * - Hotkeys recorded from the snippet editor or list, with conflict detection, kept across renames
+ * - Multi-cursor insertion, processing each selection separately in one undoable change
  * - Custom Lucide icons for visual distinction
- * - Group organization with submenu support
+ * - Snippet scopes by folder, tag, frontmatter and cursor context (code block, callout, table, frontmatter)
+ * - Nested group paths (e.g. Work/Meetings) with submenus, icons and manual ordering
  * - Search and drag-to-reorder functionality
+ * - Enabling and disabling snippets and whole groups without deleting them
+ * - Multi-select bulk actions (delete, move, icon, duplicate, enable/disable, export)
+ * - Pinned snippets at the top of the context menu and in a ribbon / status bar menu
+ * - Usage statistics with optional "Recent" and "Frequent" context menu sections
+ * - Revision history with a line diff view, and a trash for deleted snippets
+ * - Fuzzy-search snippet picker with live preview
+ * - Snippet editor with syntax highlighting, template warnings and a rendered preview
+ * - Optional vault folder of Markdown snippet files, kept in sync with vault changes
+ * - Versioned settings schema with automatic migrations and backups
  * 
  * @author Garin Wally
  * @version 1.0.0-beta.1
  * @license MIT
  */
 
-const { Plugin, Notice, PluginSettingTab, Modal, Setting } = require('obsidian');
+const {
+    Plugin, Notice, PluginSettingTab, Modal, FuzzySuggestModal, EditorSuggest, Setting, Menu,
+    getFrontMatterInfo, parseYaml, normalizePath, moment, editorInfoField, prepareFuzzySearch, getAllTags,
+    MarkdownRenderer, Component, Platform
+} = require('obsidian');
+const { EditorState, StateField, StateEffect, EditorSelection, Prec } = require('@codemirror/state');
+const { EditorView, Decoration, keymap } = require('@codemirror/view');
+const { history, defaultKeymap, historyKeymap, indentWithTab } = require('@codemirror/commands');
 
 // Plugin constants
 const CONSTANTS = {
     COMMAND_PREFIX: 'insert-snippet-',
+    PICKER_COMMAND_ID: 'open-snippet-picker',
     DEFAULT_ICON: 'stamp',
     ICON_PREVIEW_DEBOUNCE: 150,
+    PICKER_PREVIEW_LINES: 4,
+    EDITOR_PREVIEW_DEBOUNCE: 300,
+    FOLDER_RELOAD_DEBOUNCE: 300,
+    SELECTION_MODES: {
+        lines: 'Line by line',
+        whole: 'Whole selection',
+        'each-line': 'Repeat for each line',
+        paragraphs: 'Paragraphs',
+        regex: 'Regex capture groups',
+        delimiter: 'Delimiter split'
+    },
+    SELECTION_DELIMITERS: {
+        ',': 'Comma',
+        '\t': 'Tab',
+        ';': 'Semicolon',
+        '|': 'Pipe'
+    },
+    SCOPE_CONTEXTS: {
+        text: 'Plain text',
+        codeblock: 'Code block',
+        callout: 'Callout',
+        table: 'Table',
+        frontmatter: 'Frontmatter'
+    },
+    MENU_SECTION_SIZE: 5,
+    UNUSED_AFTER_DAYS: 90,
+    USAGE_SORTS: {
+        frequent: 'Most used',
+        recent: 'Recently used',
+        least: 'Least used',
+        key: 'Key'
+    },
+    PINNED_ICON: 'pin',
+    REVISION_LIMIT: 10,
+    TRASH_LIMIT: 50,
+    OPTIONAL_FIELDS: ['selectionMode', 'selectionPattern', 'selectionDelimiter', 'keepWhitespace', 'scope', 'pinned', 'disabled'],
+    IMPORT_ACCEPT: '.json,.code-snippets,.yml,.yaml',
+    IMPORT_ACTIONS: {
+        skip: 'Skip',
+        replace: 'Replace',
+        rename: 'Rename'
+    },
+    TRIGGER_EXPAND_KEYS: {
+        immediate: 'As soon as it is typed',
+        Tab: 'Tab',
+        Space: 'Space'
+    },
+    DEFAULT_GROUP_ICON: 'folder',
+    SCHEMA_VERSION: 3,
     DEFAULT_SETTINGS: {
-        snippets: {
-            "hello": "_Hello World_",
-            "greet": "Hello {1} (from Insertive)"
-        },
-        icons: {
-            "hello": "stamp",
-            "greet": "hand"
-        },
-        groups: {
-            "hello": "",
-            "greet": ""
-        }
+        schemaVersion: 3,
+        snippets: [
+            { id: 'hello', key: 'hello', body: '_Hello World_', icon: 'stamp', group: '', trigger: '' },
+            { id: 'greet', key: 'greet', body: 'Hello {1} (from Insertive)', icon: 'hand', group: '', trigger: '' }
+        ],
+        groups: [],
+        triggerPrefix: ';',
+        triggerExpandKey: 'Tab',
+        suggestEnabled: true,
+        suggestTrigger: ';;',
+        snippetFolder: '',
+        usage: {},
+        menuShowRecent: false,
+        menuShowFrequent: false,
+        revisions: {},
+        trash: []
     }
 };
 
@@ -65,355 +149,3506 @@ class SnippetValidator {
 
         return { isValid: true, message: '' };
     }
-}
 
-/**
- * Utility class for processing snippet templates with placeholders
- */
-class SnippetProcessor {
     /**
-     * Process a snippet template with selected text using {n} placeholders
-     * 
-     * @param {string} snippetText - The snippet template containing {1}, {2}, etc.
-     * @param {string} selectedText - The selected text to use for replacements
-     * @returns {string} The processed snippet text with replacements applied
-     * 
-     * @example
-     * // Single line replacement
-     * processTemplate("Hello, {1}!", "John Doe") // "Hello, John Doe!"
-     * 
-     * @example  
-     * // Multi-line individual replacement
-     * processTemplate("- {1}\n- {2}", "one\ntwo") // "- one\n- two"
-     * 
-     * @example
-     * // Multi-line grouped replacement  
-     * processTemplate("> {1}\n> {2}", "Hello\nworld\ntest") // "> Hello\n> world test"
+     * Validate a typed trigger (empty means no trigger)
+     * @param {string} trigger - The trigger to validate
+     * @returns {{isValid: boolean, message: string}} Validation result
      */
-    static processTemplate(snippetText, selectedText) {
-        if (!selectedText || !this.hasPlaceholders(snippetText)) {
-            return snippetText;
+    static validateTrigger(trigger) {
+        if (/\s/.test(trigger)) {
+            return { isValid: false, message: 'Trigger cannot contain spaces.' };
         }
 
-        const lines = selectedText.split('\n')
-            .map(line => line.trim())
-            .filter(line => line.length > 0);
-        
-        const placeholders = this.extractPlaceholders(snippetText);
-        let processedText = snippetText;
+        return { isValid: true, message: '' };
+    }
 
-        placeholders.forEach(placeholder => {
-            const paramNum = parseInt(placeholder.replace(/[{}]/g, ''), 10);
-            let replacement = '';
-
-            if (paramNum === 1) {
-                replacement = lines.length > 0 ? lines[0] : '';
-            } else if (paramNum > 1 && paramNum <= lines.length) {
-                replacement = lines[paramNum - 1];
-            } else if (paramNum === 2 && lines.length > 1) {
-                replacement = lines.slice(1).join(' ');
-            }
+    /**
+     * Validate a snippet's {{> key}} includes: every included snippet must exist and
+     * expanding them must not lead back to a snippet already being expanded
+     * @param {string} key - The snippet key
+     * @param {string} body - The snippet text
+     * @param {Function} lookup - Returns the body of another snippet by key, or undefined if missing
+     * @returns {{isValid: boolean, message: string}} Validation result
+     */
+    static validateIncludes(key, body, lookup) {
+        const missing = SnippetProcessor.findIncludes(body).filter(include => include !== key && lookup(include) === undefined);
+        if (missing.length > 0) {
+            return { isValid: false, message: `Included snippet(s) not found: ${missing.join(', ')}` };
+        }
 
-            const regex = new RegExp('\\{' + paramNum + '\\}', 'g');
-            processedText = processedText.replace(regex, replacement);
-        });
+        try {
+            SnippetProcessor.expandIncludes(body, lookup, [key]);
+        } catch (error) {
+            return { isValid: false, message: error.message };
+        }
 
-        return processedText;
+        return { isValid: true, message: '' };
     }
 
     /**
-     * Check if snippet text contains {n} placeholders
-     * @param {string} text - The text to check
-     * @returns {boolean} True if placeholders are found
+     * Validate a snippet scope
+     * @param {object} scope - The scope (see SnippetScope)
+     * @returns {{isValid: boolean, message: string}} Validation result
      */
-    static hasPlaceholders(text) {
-        return /\{\d+\}/.test(text);
+    static validateScope(scope) {
+        const unknown = SnippetScope.normalize(scope).contexts
+            .filter(context => !Object.prototype.hasOwnProperty.call(CONSTANTS.SCOPE_CONTEXTS, context));
+        if (unknown.length > 0) {
+            return {
+                isValid: false,
+                message: `Unknown cursor context(s): ${unknown.join(', ')}. Use ${Object.keys(CONSTANTS.SCOPE_CONTEXTS).join(', ')}.`
+            };
+        }
+
+        return { isValid: true, message: '' };
     }
 
     /**
-     * Extract all unique placeholders from snippet text
+     * Find malformed template syntax: unclosed placeholders (e.g. "{2]"), unknown filters,
+     * unbalanced {{#each}} / {{#if}} blocks and includes of missing snippets
      * @param {string} text - The snippet text
-     * @returns {string[]} Array of unique placeholders like ["{1}", "{2}"]
+     * @param {Function} [lookup] - Returns the body of a snippet by key, or undefined if missing
+     * @returns {{from: number, to: number, message: string}[]} Warnings in document order
      */
-    static extractPlaceholders(text) {
-        const matches = text.match(/\{\d+\}/g);
-        return matches ? [...new Set(matches)] : [];
+    static lintTemplate(text, lookup) {
+        const warnings = [];
+        const warn = (from, to, message) => warnings.push({ from, to, message });
+
+        // Positional placeholders closed with the wrong character or not at all (tab stops like ${1:x} are fine)
+        for (const match of text.matchAll(/(?<!\$)\{(\d+|selection)(?![\d}|])/g)) {
+            warn(match.index, match.index + match[0].length, `"${match[0]}" is missing its closing "}"`);
+        }
+
+        for (const match of text.matchAll(/(?<!\\)\{\{(?![^{}\n]*\}\})/g)) {
+            warn(match.index, match.index + 2, '"{{" is missing its closing "}}"');
+        }
+
+        for (const match of text.matchAll(SnippetProcessor.PLACEHOLDER_REGEX)) {
+            SnippetProcessor.parseFilters(match[6])
+                .filter(filter => !Object.prototype.hasOwnProperty.call(SnippetProcessor.FILTERS, filter.name))
+                .forEach(filter => warn(match.index, match.index + match[0].length, `Unknown filter "${filter.name}"`));
+        }
+
+        const blocks = [];
+        for (const match of text.matchAll(SnippetProcessor.BLOCK_TAG_REGEX)) {
+            const [tag, openingType, , , elseTag, closingType] = match;
+            const from = match.index;
+            const to = from + tag.length;
+            const top = blocks[blocks.length - 1];
+
+            if (openingType) {
+                blocks.push({ type: openingType, from, to, hasElse: false });
+            } else if (elseTag) {
+                if (top?.type === 'if' && !top.hasElse) {
+                    top.hasElse = true;
+                } else {
+                    warn(from, to, top?.hasElse ? '{{#if}} block has more than one "{{else}}"' : '"{{else}}" is outside an {{#if}} block');
+                }
+            } else if (top?.type === closingType) {
+                blocks.pop();
+            } else {
+                warn(from, to, `"${tag}" has no matching {{#${closingType}}}`);
+            }
+        }
+        blocks.forEach(block => warn(block.from, block.to, `{{#${block.type}}} is never closed with {{/${block.type}}}`));
+
+        if (lookup) {
+            for (const match of text.matchAll(SnippetProcessor.INCLUDE_REGEX)) {
+                if (lookup(match[1]) === undefined) {
+                    warn(match.index, match.index + match[0].length, `Included snippet "${match[1]}" not found`);
+                }
+            }
+        }
+
+        return warnings.sort((a, b) => a.from - b.from);
     }
-}
 
-/**
- * Utility class for rendering Lucide icons with live preview support
- */
-class IconRenderer {
     /**
-     * Render a Lucide icon in the provided element using Obsidian's setIcon
-     * @param {HTMLElement} element - The element to render the icon in
-     * @param {string} iconName - The Lucide icon name
+     * Validate a selection regex (empty means no pattern)
+     * @param {string} pattern - The regular expression source
+     * @returns {{isValid: boolean, message: string}} Validation result
      */
-    static renderIcon(element, iconName) {
-        if (!iconName || !element) return;
-        
+    static validatePattern(pattern) {
         try {
-            const { setIcon } = require('obsidian');
-            setIcon(element, iconName);
+            new RegExp(pattern);
         } catch (error) {
-            console.warn('IconRenderer: Failed to render icon:', iconName, error);
-            element.textContent = '#';
+            return { isValid: false, message: `Invalid selection pattern: ${error.message}` };
         }
-    }
 
-    /**
-     * Create a debounced function to prevent excessive API calls
-     * @param {Function} func - Function to debounce
-     * @param {number} delay - Delay in milliseconds
-     * @returns {Function} Debounced function
-     */
-    static debounce(func, delay) {
-        let timeoutId;
-        return function (...args) {
-            clearTimeout(timeoutId);
-            timeoutId = setTimeout(() => func.apply(this, args), delay);
-        };
+        return { isValid: true, message: '' };
     }
 }
 
 /**
- * Command manager for handling dynamic snippet commands
- * Manages registration and cleanup of snippet-specific commands
+ * Utility class for creating snippet records
+ * Settings snippets are stored as an ordered array of records:
+ * {id, key, body, icon, group, trigger}. The id is stable across key renames.
+ * Optional fields (e.g. selectionMode, see SnippetProcessor.splitSelection) are only
+ * present when set.
  */
-class CommandManager {
+class SnippetRecord {
     /**
-     * @param {InsertivePlugin} plugin - The main plugin instance
+     * Create a unique snippet id
+     * @returns {string} A new id
      */
-    constructor(plugin) {
-        this.plugin = plugin;
-        this.registeredCommands = new Set();
+    static createId() {
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
     }
 
     /**
-     * Register commands for all current snippets
-     * Clears existing commands first to avoid duplicates
+     * Create a snippet record with a fresh id and defaults for missing fields
+     * Any extra fields are kept on the record
+     * @param {{key: string, body: string, icon?: string, group?: string, trigger?: string}} fields - Record fields (without an id)
+     * @returns {{id: string, key: string, body: string, icon: string, group: string, trigger: string}} The record
      */
-    registerSnippetCommands() {
-        this.clearSnippetCommands();
+    static create(fields) {
+        const { key, body, icon, group, trigger, ...rest } = fields;
+        return {
+            id: this.createId(),
+            key,
+            body,
+            icon: icon || CONSTANTS.DEFAULT_ICON,
+            group: group || '',
+            trigger: trigger || '',
+            ...rest
+        };
+    }
 
-        Object.keys(this.plugin.settings.snippets).forEach(key => {
-            this.registerSnippetCommand(key);
-        });
+    /**
+     * Overwrite a record with another version of the snippet, keeping its id
+     * Optional fields the new version leaves out are removed rather than kept from the old one
+     * @param {object} record - The snippet record, changed in place
+     * @param {object} fields - The new key, body, icon, group, trigger and optional fields
+     * @returns {object} The record
+     */
+    static replace(record, fields) {
+        CONSTANTS.OPTIONAL_FIELDS.forEach(field => delete record[field]);
+        return Object.assign(record, fields);
     }
 
     /**
-     * Register a single snippet command with template processing
-     * @param {string} snippetKey - The key of the snippet to create a command for
+     * Make a key unique by adding a suffix, then a counter, e.g. "note-copy", "note-copy-2"
+     * @param {string} key - The wanted key
+     * @param {Set<string>} keys - Keys already in use
+     * @param {string} suffix - The suffix to add when the key is taken
+     * @returns {string} The key, or the first free suffixed key
      */
-    registerSnippetCommand(snippetKey) {
-        const commandId = CONSTANTS.COMMAND_PREFIX + snippetKey;
-        this.registeredCommands.add(commandId);
-        
-        this.plugin.addCommand({
-            id: commandId,
-            name: `Insert Snippet: ${snippetKey}`,
-            editorCallback: (editor) => {
-                const selectedText = editor.getSelection();
-                const snippetText = this.plugin.settings.snippets[snippetKey];
-                const processedText = SnippetProcessor.processTemplate(snippetText, selectedText);
-                
-                editor.replaceSelection(processedText);
-                if(DEBUG){
-                    new Notice(`Inserted: ${snippetKey}`);
-                }
-            }
-        });
+    static uniqueKey(key, keys, suffix) {
+        let unique = key;
+        for (let n = 1; keys.has(unique); n++) {
+            unique = `${key}-${suffix}${n > 1 ? `-${n}` : ''}`;
+        }
+        return unique;
     }
 
     /**
-     * Clear all registered snippet commands
-     * Called during plugin unload and command re-registration
+     * Create a copy of a snippet under a new key, with a fresh id and no trigger
+     * @param {object} snippet - The snippet record
+     * @param {Set<string>} keys - Keys already in use
+     * @returns {object} The new record
      */
-    clearSnippetCommands() {
-        this.registeredCommands.forEach(commandId => {
-            delete this.plugin.app.commands.commands[commandId];
+    static duplicate(snippet, keys) {
+        const { key, body, icon, group } = snippet;
+        return this.create({
+            key: this.uniqueKey(key, keys, 'copy'),
+            body,
+            icon,
+            group,
+            ...structuredClone(this.pickOptionalFields(snippet))
         });
-        this.registeredCommands.clear();
     }
 
     /**
-     * Clean up resources
+     * Copy the optional fields (selection options, scope) that are set on a snippet
+     * @param {object} source - A snippet record, import entry or frontmatter
+     * @returns {object} Only the optional fields with a value
      */
-    destroy() {
-        this.clearSnippetCommands();
-        this.registeredCommands = null;
-        this.plugin = null;
+    static pickOptionalFields(source) {
+        const picked = {};
+        CONSTANTS.OPTIONAL_FIELDS.forEach(field => {
+            if (source?.[field]) picked[field] = source[field];
+        });
+        return picked;
     }
 }
 
 /**
- * Context menu manager for handling right-click menu integration
- * Provides snippet insertion through editor context menu
+ * Snippet scope rules: where a snippet is offered
+ * A scope is {folders, tags, frontmatter, contexts}, each a list:
+ * - folders: vault path globs ("Work/**", "Journal/*.md"); a plain folder path matches everything inside it
+ * - tags: note tags, with or without "#"; a tag also matches its nested tags
+ * - frontmatter: "field" (present) or "field=value" (equal, or contained in a list)
+ * - contexts: cursor contexts (see CONSTANTS.SCOPE_CONTEXTS)
+ * A list matches when any of its entries matches; a scope matches when every non-empty list does.
  */
-class ContextMenuManager {
+class SnippetScope {
     /**
-     * @param {InsertivePlugin} plugin - The main plugin instance
+     * Normalize a scope to trimmed lists, accepting comma-separated strings (e.g. from frontmatter)
+     * @param {object} [scope] - The scope
+     * @returns {{folders: string[], tags: string[], frontmatter: string[], contexts: string[]}} Normalized scope
      */
-    constructor(plugin) {
-        this.plugin = plugin;
+    static normalize(scope) {
+        const list = (value) => (Array.isArray(value) ? value : String(value ?? '').split(','))
+            .map(entry => String(entry).trim())
+            .filter(entry => entry.length > 0);
+
+        return {
+            folders: list(scope?.folders),
+            tags: list(scope?.tags).map(tag => tag.replace(/^#/, '')),
+            frontmatter: list(scope?.frontmatter),
+            contexts: list(scope?.contexts)
+        };
     }
 
     /**
-     * Add Insertive submenu to the editor context menu with group support
-     * @param {Menu} menu - The Obsidian menu object
-     * @param {Editor} editor - The current editor instance
+     * Check whether a scope has no rules (the snippet is offered everywhere)
+     * @param {object} [scope] - The scope
+     * @returns {boolean} True if every list is empty
      */
-    addContextMenu(menu, editor) {
-        const snippetKeys = Object.keys(this.plugin.settings.snippets);
-        
-        if (snippetKeys.length === 0) {
-            menu.addItem((item) => {
-                item.setTitle("Insertive")
-                    .setIcon("file-down")
-                    .setDisabled(true);
-            });
-            return;
-        }
-
-        menu.addItem((item) => {
-            item.setTitle("Insertive").setIcon("text-cursor-input");
-            
-            const submenu = item.setSubmenu();
-            
-            // Organize snippets by group (preserving order)
-            const groupedSnippets = this.organizeSnippetsByGroup(snippetKeys);
-            
-            // Add ungrouped snippets first (in settings order, not sorted)
-            if (groupedSnippets[''] && groupedSnippets[''].length > 0) {
-                groupedSnippets[''].forEach((key) => {
-                    this.addSnippetMenuItem(submenu, key, editor);
-                });
-                
-                // Add separator if there are also grouped snippets
-                const hasGroups = Object.keys(groupedSnippets).some(g => g !== '');
-                if (hasGroups) {
-                    submenu.addSeparator();
-                }
-            }
-            
-            // Add grouped snippets (groups sorted alphabetically, snippets in settings order)
-            const groups = Object.keys(groupedSnippets).filter(g => g !== '').sort();
-            groups.forEach((groupName) => {
-                submenu.addItem((groupItem) => {
-                    groupItem.setTitle(groupName).setIcon("folder");
-                    
-                    const groupSubmenu = groupItem.setSubmenu();
-                    
-                    // Add snippets in this group (in settings order, not sorted)
-                    groupedSnippets[groupName].forEach((key) => {
-                        this.addSnippetMenuItem(groupSubmenu, key, editor);
-                    });
-                });
-            });
-            
-            // Add management options
-            submenu.addSeparator();
-            submenu.addItem((subitem) => {
-                subitem.setTitle("Manage Snippets...")
-                       .setIcon("settings")
-                       .onClick(() => {
-                           this.plugin.app.setting.open();
-                           this.plugin.app.setting.openTabById(this.plugin.manifest.id);
-                       });
-            });
-        });
+    static isEmpty(scope) {
+        return Object.values(this.normalize(scope)).every(list => list.length === 0);
     }
 
     /**
-     * Organize snippets by their group (preserving order within groups)
-     * @param {string[]} snippetKeys - Array of snippet keys in settings order
-     * @returns {Object} Object with group names as keys and arrays of snippet keys as values
+     * Check whether a scope allows the given note and cursor position
+     * @param {object} [scope] - The scope
+     * @param {{path: string, tags: string[], frontmatter: object, contexts: Set<string>}} context - From InsertivePlugin.getScopeContext
+     * @returns {boolean} True if the snippet should be offered
      */
-    organizeSnippetsByGroup(snippetKeys) {
-        const grouped = {};
-        
-        snippetKeys.forEach(key => {
-            const group = this.plugin.settings.groups?.[key] || '';
-            if (!grouped[group]) {
-                grouped[group] = [];
-            }
-            grouped[group].push(key);
-        });
-        
-        return grouped;
+    static matches(scope, context) {
+        const { folders, tags, frontmatter, contexts } = this.normalize(scope);
+
+        if (folders.length > 0 && !folders.some(glob => this.matchesPath(glob, context.path))) {
+            return false;
+        }
+
+        const noteTags = context.tags.map(tag => tag.replace(/^#/, '').toLowerCase());
+        if (tags.length > 0 && !tags.some(tag => noteTags.some(noteTag => {
+            return noteTag === tag.toLowerCase() || noteTag.startsWith(`${tag.toLowerCase()}/`);
+        }))) {
+            return false;
+        }
+
+        if (frontmatter.length > 0 && !frontmatter.some(rule => this.matchesFrontmatter(rule, context.frontmatter))) {
+            return false;
+        }
+
+        return contexts.length === 0 || contexts.some(cursorContext => context.contexts.has(cursorContext));
     }
 
     /**
-     * Add a single snippet menu item
-     * @param {Menu} menu - The menu to add the item to
-     * @param {string} key - The snippet key
-     * @param {Editor} editor - The editor instance
+     * Match a vault path against a folder glob
+     * @param {string} glob - The glob ("*" within a folder, "**" across folders, "?" one character)
+     * @param {string} path - The note path
+     * @returns {boolean} True if the path matches
      */
-    addSnippetMenuItem(menu, key, editor) {
-        menu.addItem((subitem) => {
-            const icon = this.plugin.settings.icons?.[key] || CONSTANTS.DEFAULT_ICON;
-            subitem.setTitle(key)
-                   .setIcon(icon)
-                   .onClick(() => {
-                       const selectedText = editor.getSelection();
-                       const snippetText = this.plugin.settings.snippets[key];
-                       const processedText = SnippetProcessor.processTemplate(snippetText, selectedText);
-                       
-                       editor.replaceSelection(processedText);
-                        if(DEBUG){
-                            new Notice(`Inserted: ${snippetKey}`);
-                        }
-                   });
-        });
+    static matchesPath(glob, path) {
+        if (!/[*?]/.test(glob)) {
+            const folder = glob.replace(/\/+$/, '');
+            return path === folder || path.startsWith(`${folder}/`);
+        }
+
+        const source = glob.split(/(\*\*\/?|\*|\?)/).map(part => {
+            if (part === '**/') return '(?:.*/)?';
+            if (part === '**') return '.*';
+            if (part === '*') return '[^/]*';
+            if (part === '?') return '[^/]';
+            return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }).join('');
+        return new RegExp(`^${source}$`).test(path);
     }
 
     /**
-     * Clean up resources
+     * Match a frontmatter rule
+     * @param {string} rule - "field" or "field=value"
+     * @param {object} frontmatter - The note's frontmatter
+     * @returns {boolean} True if the rule holds
      */
-    destroy() {
-        this.plugin = null;
+    static matchesFrontmatter(rule, frontmatter) {
+        const [field, ...rest] = rule.split('=');
+        const value = frontmatter?.[field.trim()];
+        if (value === undefined || value === null || value === '') return false;
+        if (rest.length === 0) return true;
+
+        const expected = rest.join('=').trim();
+        return Array.isArray(value)
+            ? value.some(item => String(item) === expected)
+            : String(value) === expected;
     }
-}
 
-/**
- * Confirmation modal for overwriting snippets
- */
-class ConfirmModal extends Modal {
     /**
-     * @param {object} app - Obsidian app instance
-     * @param {string} message - The confirmation message
-     * @param {Function} onConfirm - Callback when confirmed
+     * Detect what the cursor is inside of, by scanning the note text
+     * @param {Editor} editor - The editor
+     * @returns {Set<string>} Cursor contexts; "text" when it is in none of the others
      */
-    constructor(app, message, onConfirm) {
-        super(app);
-        this.message = message;
-        this.onConfirm = onConfirm;
-    }
+    static getCursorContexts(editor) {
+        const contexts = new Set();
+        const cursorLine = editor.getCursor().line;
+        let bodyStart = 0;
 
-    onOpen() {
-        const { contentEl } = this;
-        contentEl.createEl('p', { text: this.message });
+        // Frontmatter: the note starts with --- and the cursor is at or before the closing ---
+        if (editor.getLine(0) === '---') {
+            for (let line = 1; line < editor.lineCount(); line++) {
+                if (/^(---|\.\.\.)\s*$/.test(editor.getLine(line))) {
+                    bodyStart = line + 1;
+                    break;
+                }
+            }
+            if (cursorLine < bodyStart) contexts.add('frontmatter');
+        }
 
-        const buttonContainer = contentEl.createDiv('modal-button-container');
-        buttonContainer.style.cssText = 'display: flex; justify-content: flex-end; gap: 8px; margin-top: 16px;';
-        
-        buttonContainer.createEl('button', {
-            text: 'Cancel',
-            cls: 'mod-cancel'
-        }).addEventListener('click', () => this.close());
+        if (!contexts.has('frontmatter')) {
+            // Code block: a fence opened before the cursor line and not closed yet
+            let fence = null;
+            for (let line = bodyStart; line < cursorLine; line++) {
+                const match = editor.getLine(line).match(/^(?:\s*>)*\s*(`{3,}|~{3,})/);
+                if (!match) continue;
+                if (!fence) {
+                    fence = match[1];
+                } else if (match[1][0] === fence[0] && match[1].length >= fence.length) {
+                    fence = null;
+                }
+            }
+            if (fence) contexts.add('codeblock');
 
-        buttonContainer.createEl('button', {
-            text: 'Replace',
-            cls: 'mod-cta'
-        }).addEventListener('click', async () => {
-            this.close();
-            if (this.onConfirm) await this.onConfirm();
-        });
+            // Callout: a run of quote lines, ending at the cursor, that starts with > [!type]
+            for (let line = cursorLine; line >= bodyStart && /^\s*>/.test(editor.getLine(line)); line--) {
+                if (/^\s*>\s*\[!/.test(editor.getLine(line))) {
+                    contexts.add('callout');
+                    break;
+                }
+            }
+
+            // Table: the cursor line is a table row
+            if (!fence && /^(?:\s*>)*\s*\|/.test(editor.getLine(cursorLine))) {
+                contexts.add('table');
+            }
+        }
+
+        if (contexts.size === 0) contexts.add('text');
+        return contexts;
     }
 
-    onClose() {
-        this.contentEl.empty();
+    /**
+     * Describe a scope for the settings list
+     * @param {object} [scope] - The scope
+     * @returns {string} Summary, e.g. "Folders: Work/** · Tags: #meeting"
+     */
+    static describe(scope) {
+        const { folders, tags, frontmatter, contexts } = this.normalize(scope);
+        return [
+            folders.length > 0 && `Folders: ${folders.join(', ')}`,
+            tags.length > 0 && `Tags: ${tags.map(tag => `#${tag}`).join(', ')}`,
+            frontmatter.length > 0 && `Frontmatter: ${frontmatter.join(', ')}`,
+            contexts.length > 0 && `Context: ${contexts.map(context => CONSTANTS.SCOPE_CONTEXTS[context] || context).join(', ')}`
+        ].filter(Boolean).join(' · ');
+    }
+}
+
+/**
+ * Settings schema migrations
+ * Each migration upgrades data.json from `version - 1` to `version`. Data without a
+ * schemaVersion is version 1 (parallel snippets/icons/groups/triggers maps keyed by snippet key).
+ */
+class SettingsMigrator {
+    static MIGRATIONS = [
+        {
+            version: 2,
+            migrate: (data) => {
+                const { snippets = {}, icons = {}, groups = {}, triggers = {}, ...rest } = data;
+                return {
+                    ...rest,
+                    snippets: Object.entries(snippets).map(([key, body]) => SnippetRecord.create({
+                        key,
+                        body: SettingsMigrator.escapeVersion1Body(body),
+                        icon: icons[key] || CONSTANTS.DEFAULT_ICON,
+                        group: groups[key] || '',
+                        trigger: triggers[key] || ''
+                    }))
+                };
+            }
+        },
+        {
+            version: 3,
+            migrate: (data) => {
+                // Groups used to be listed alphabetically, so start from that order
+                const snippets = data.snippets.map(snippet => ({
+                    ...snippet,
+                    group: SnippetGroups.normalize(snippet.group)
+                }));
+                const paths = [...new Set(snippets.map(snippet => snippet.group))].sort();
+                return { ...data, snippets, groups: SnippetGroups.sync([], paths) };
+            }
+        }
+    ];
+
+    /**
+     * Escape syntax that version 1 did not have, so version 1 snippet text inserts as it did then
+     * Version 1 bodies predate named placeholders and tab stops, so "{{title}}" (e.g. from an
+     * Obsidian core template) and "$5" there are literal text
+     * @param {string} body - A version 1 snippet body
+     * @returns {string} The body with "{{" and tab stops escaped
+     */
+    static escapeVersion1Body(body) {
+        return SnippetProcessor.escape(TabStops.escape(body));
+    }
+
+    /**
+     * Get the schema version of stored settings data
+     * @param {object} data - Stored settings data
+     * @returns {number} The schema version
+     */
+    static getVersion(data) {
+        return data.schemaVersion || 1;
+    }
+
+    /**
+     * Check whether stored settings data needs migrating
+     * @param {?object} data - Stored settings data (null for a fresh install)
+     * @returns {boolean} True if the data is from an older schema version
+     */
+    static needsMigration(data) {
+        return !!data && this.getVersion(data) < CONSTANTS.SCHEMA_VERSION;
+    }
+
+    /**
+     * Run every migration newer than the data's schema version, in order
+     * @param {object} data - Stored settings data
+     * @returns {object} Data at the current schema version
+     */
+    static migrate(data) {
+        const fromVersion = this.getVersion(data);
+        return this.MIGRATIONS
+            .filter(migration => migration.version > fromVersion)
+            .reduce((migrated, migration) => ({
+                ...migration.migrate(migrated),
+                schemaVersion: migration.version
+            }), data);
+    }
+}
+
+/**
+ * Utility class for nested snippet groups
+ * A snippet's group is a slash-separated path such as "Work/Meetings/Standup".
+ * settings.groups is an ordered array of {path, icon, disabled?} records: the order of sibling
+ * groups in the array is their display order, each group can have its own icon, and a disabled
+ * group disables every snippet in it and in its nested groups.
+ */
+class SnippetGroups {
+    /**
+     * Normalize a group path: trim each segment and drop empty ones
+     * @param {string} path - The group path
+     * @returns {string} Normalized path ("" for no group)
+     */
+    static normalize(path) {
+        return (path || '').split('/')
+            .map(segment => segment.trim())
+            .filter(segment => segment.length > 0)
+            .join('/');
+    }
+
+    /**
+     * Get a group path and all of its ancestors, outermost first
+     * @param {string} path - A normalized group path
+     * @returns {string[]} e.g. ["Work", "Work/Meetings"] for "Work/Meetings"
+     */
+    static getAncestors(path) {
+        if (!path) return [];
+        const segments = path.split('/');
+        return segments.map((segment, index) => segments.slice(0, index + 1).join('/'));
+    }
+
+    /**
+     * Check whether a group path is the given group or nested inside it
+     * @param {string} group - The containing group path ("" contains everything)
+     * @param {string} path - The group path to check
+     * @returns {boolean} True if path is group or one of its descendants
+     */
+    static contains(group, path) {
+        return !group || path === group || path.startsWith(`${group}/`);
+    }
+
+    /**
+     * Get the parent path of a group
+     * @param {string} path - A normalized group path
+     * @returns {string} The parent path ("" for a top-level group)
+     */
+    static getParent(path) {
+        const index = path.lastIndexOf('/');
+        return index === -1 ? '' : path.slice(0, index);
+    }
+
+    /**
+     * Find the disabled group, if any, that a group path is in
+     * @param {{path: string, disabled?: boolean}[]} groups - Group records
+     * @param {string} path - A normalized group path
+     * @returns {string} The outermost disabled group among the path and its ancestors, or "" if none
+     */
+    static getDisabledAncestor(groups, path) {
+        const disabled = new Set(groups.filter(group => group.disabled).map(group => group.path));
+        return this.getAncestors(path).find(ancestor => disabled.has(ancestor)) || '';
+    }
+
+    /**
+     * Add group records for any paths (and their ancestors) not yet listed
+     * @param {{path: string, icon: string}[]} groups - Existing group records
+     * @param {string[]} paths - Group paths in use
+     * @returns {{path: string, icon: string}[]} Group records including the new ones, appended in order
+     */
+    static sync(groups, paths) {
+        const synced = [...groups];
+        const known = new Set(groups.map(group => group.path));
+
+        paths.forEach(path => {
+            this.getAncestors(this.normalize(path)).forEach(ancestor => {
+                if (known.has(ancestor)) return;
+                known.add(ancestor);
+                synced.push({ path: ancestor, icon: CONSTANTS.DEFAULT_GROUP_ICON });
+            });
+        });
+
+        return synced;
+    }
+
+    /**
+     * Build the group tree for a list of snippets
+     * Snippets keep their list order; sibling groups follow the order of the group records,
+     * with unlisted groups (e.g. from folder snippets) after them alphabetically
+     * 
+     * @param {object[]} snippets - Snippets with a group path
+     * @param {{path: string, icon: string}[]} groups - Group records
+     * @returns {{name: string, path: string, icon: string, snippets: object[], children: object[], count: number}} The root node
+     */
+    static buildTree(snippets, groups) {
+        const order = new Map(groups.map((group, index) => [group.path, index]));
+        const icons = new Map(groups.map(group => [group.path, group.icon]));
+        const nodes = new Map();
+
+        const getNode = (path) => {
+            if (nodes.has(path)) return nodes.get(path);
+
+            const node = {
+                name: path.split('/').pop(),
+                path,
+                icon: icons.get(path) || CONSTANTS.DEFAULT_GROUP_ICON,
+                snippets: [],
+                children: [],
+                count: 0
+            };
+            nodes.set(path, node);
+            if (path) getNode(this.getParent(path)).children.push(node);
+            return node;
+        };
+
+        const root = getNode('');
+        snippets.forEach(snippet => {
+            const path = this.normalize(snippet.group);
+            getNode(path).snippets.push(snippet);
+            ['', ...this.getAncestors(path)].forEach(ancestor => nodes.get(ancestor).count++);
+        });
+
+        const rank = (node) => order.has(node.path) ? order.get(node.path) : Infinity;
+        nodes.forEach(node => node.children.sort((a, b) => {
+            return (rank(a) - rank(b)) || a.name.localeCompare(b.name);
+        }));
+
+        return root;
+    }
+
+    /**
+     * Move a group up or down among its sibling groups
+     * @param {{path: string, icon: string}[]} groups - Group records
+     * @param {string} path - Path of the group to move
+     * @param {number} direction - -1 to move up, 1 to move down
+     * @returns {{path: string, icon: string}[]} Reordered group records
+     */
+    static move(groups, path, direction) {
+        const parent = this.getParent(path);
+        const siblingIndexes = groups
+            .map((group, index) => ({ group, index }))
+            .filter(({ group }) => this.getParent(group.path) === parent)
+            .map(({ index }) => index);
+
+        const position = siblingIndexes.findIndex(index => groups[index].path === path);
+        const swapPosition = position + direction;
+        if (position === -1 || swapPosition < 0 || swapPosition >= siblingIndexes.length) {
+            return groups;
+        }
+
+        const reordered = [...groups];
+        const from = siblingIndexes[position];
+        const to = siblingIndexes[swapPosition];
+        [reordered[from], reordered[to]] = [reordered[to], reordered[from]];
+        return reordered;
+    }
+}
+
+/**
+ * Utility class for snippet revision history and the trash
+ * settings.revisions maps a snippet id to its previous versions, newest first, each
+ * {savedAt, snippet}. settings.trash lists deleted snippet records, newest first, each with
+ * a deletedAt time and the custom hotkeys its command had, if any. Both are keyed by id like
+ * settings.usage, so a restored snippet gets its history, usage and hotkeys back.
+ */
+class SnippetHistory {
+    /**
+     * Selection option fields, compared by their effective value rather than as stored
+     */
+    static SELECTION_FIELDS = ['selectionMode', 'selectionPattern', 'selectionDelimiter', 'keepWhitespace'];
+
+    /**
+     * Check whether two versions of a snippet have the same content (everything but the id)
+     * Empty values are treated alike, so an unset option equals a cleared one, and selection
+     * options are compared with their defaults filled in (a record without a selection mode
+     * equals one saved as "lines")
+     * @param {object} a - A snippet record
+     * @param {object} b - A snippet record
+     * @returns {boolean} True if nothing but the id differs
+     */
+    static isSameContent(a, b) {
+        const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+        ['id', ...this.SELECTION_FIELDS].forEach(field => fields.delete(field));
+
+        const selectionA = SnippetProcessor.getSelectionOptions(a);
+        const selectionB = SnippetProcessor.getSelectionOptions(b);
+        return JSON.stringify(selectionA) === JSON.stringify(selectionB)
+            && [...fields].every(field => JSON.stringify(a[field] || null) === JSON.stringify(b[field] || null));
+    }
+
+    /**
+     * Keep the previous version of a snippet that is about to be overwritten
+     * Nothing is recorded if the content did not change
+     * @param {object} settings - Plugin settings
+     * @param {object} previous - The snippet before the change
+     * @param {object} updated - The snippet after the change
+     * @returns {boolean} True if a revision was recorded
+     */
+    static record(settings, previous, updated) {
+        if (this.isSameContent(previous, updated)) return false;
+
+        const { id, ...snippet } = structuredClone(previous);
+        settings.revisions[id] = [{ savedAt: Date.now(), snippet }, ...this.getRevisions(settings, id)]
+            .slice(0, CONSTANTS.REVISION_LIMIT);
+        return true;
+    }
+
+    /**
+     * Get the previous versions of a snippet, newest first
+     * @param {object} settings - Plugin settings
+     * @param {string} id - The snippet id
+     * @returns {{savedAt: number, snippet: object}[]} Revisions
+     */
+    static getRevisions(settings, id) {
+        return settings.revisions[id] || [];
+    }
+
+    /**
+     * Bring back an earlier version of a snippet, keeping its current key
+     * The current version is recorded first, so restoring can itself be undone
+     * @param {object} settings - Plugin settings
+     * @param {object} snippet - The current snippet record (updated in place)
+     * @param {{savedAt: number, snippet: object}} revision - The revision to restore
+     */
+    static restoreRevision(settings, snippet, revision) {
+        const restored = { ...structuredClone(revision.snippet), id: snippet.id, key: snippet.key };
+        this.record(settings, snippet, restored);
+
+        Object.keys(snippet).forEach(field => delete snippet[field]);
+        Object.assign(snippet, restored);
+    }
+
+    /**
+     * Move a snippet from the snippet list to the trash
+     * Snippets beyond CONSTANTS.TRASH_LIMIT are deleted for good
+     * @param {object} settings - Plugin settings
+     * @param {object} snippet - The snippet record
+     * @param {?{modifiers: string[], key: string}[]} [hotkeys] - Hotkeys to give back on restore
+     */
+    static trash(settings, snippet, hotkeys = null) {
+        settings.snippets = settings.snippets.filter(s => s.id !== snippet.id);
+        const deleted = hotkeys ? { ...snippet, deletedAt: Date.now(), hotkeys } : { ...snippet, deletedAt: Date.now() };
+        settings.trash = [deleted, ...settings.trash];
+        settings.trash.slice(CONSTANTS.TRASH_LIMIT).forEach(deleted => this.purge(settings, deleted.id));
+    }
+
+    /**
+     * Move a snippet from the trash back to the end of the snippet list
+     * A snippet whose key was taken in the meantime is restored under a new key
+     * @param {object} settings - Plugin settings
+     * @param {string} id - The snippet id
+     * @returns {object|null} The restored snippet record, or null if it is not in the trash
+     */
+    static restore(settings, id) {
+        const deleted = settings.trash.find(snippet => snippet.id === id);
+        if (!deleted) return null;
+
+        const { deletedAt, hotkeys, ...snippet } = deleted;
+        const key = SnippetRecord.uniqueKey(snippet.key, new Set(settings.snippets.map(s => s.key)), 'restored');
+
+        settings.trash = settings.trash.filter(s => s.id !== id);
+        settings.snippets.push({ ...snippet, key });
+        return settings.snippets[settings.snippets.length - 1];
+    }
+
+    /**
+     * Delete a snippet from the trash for good, with its revisions and usage
+     * @param {object} settings - Plugin settings
+     * @param {string} id - The snippet id
+     */
+    static purge(settings, id) {
+        settings.trash = settings.trash.filter(snippet => snippet.id !== id);
+        delete settings.revisions[id];
+        delete settings.usage[id];
+    }
+
+    /**
+     * Compare two texts line by line (longest common subsequence)
+     * @param {string} before - The older text
+     * @param {string} after - The newer text
+     * @returns {{type: string, text: string}[]} Lines in order, each 'same', 'removed' or 'added'
+     */
+    static diffLines(before, after) {
+        const a = before.split('\n');
+        const b = after.split('\n');
+
+        // lengths[i][j] = length of the common subsequence of a[i..] and b[j..]
+        const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i][j] = a[i] === b[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        const lines = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                lines.push({ type: 'same', text: a[i++] });
+                j++;
+            } else if (j >= b.length || (i < a.length && lengths[i + 1][j] >= lengths[i][j + 1])) {
+                lines.push({ type: 'removed', text: a[i++] });
+            } else {
+                lines.push({ type: 'added', text: b[j++] });
+            }
+        }
+        return lines;
+    }
+}
+
+/**
+ * Utility class for processing snippet templates with placeholders
+ * 
+ * Supported placeholders:
+ * - {1}, {2}, ... positional values taken from the selected lines
+ * - {{name}} named value, repeated wherever the name appears
+ * - {{name=default}} named value with a default
+ * - {{name|a,b,c}} named value chosen from a list of options (first is the default)
+ * - {{date:YYYY-MM-DD}}, {{title}}, ... built-in variables (see SnippetVariables)
+ * - \{{ a literal "{{", e.g. \{{title}} for an Obsidian core template variable
+ */
+class SnippetProcessor {
+    /**
+     * Matches named {{placeholders}} (name, variable argument, operator, operator argument)
+     * and single-brace references with optional filters (reference, filter chain): positional {n},
+     * {selection}, and filtered references to a named value such as {line|upper}
+     */
+    static PLACEHOLDER_REGEX = /(?<!\\)\{\{\s*([a-zA-Z_][\w-]*)(?::([^}=|]*))?\s*(?:([=|])([^}]*))?\}\}|\{(\d+|selection|[a-zA-Z_][\w-]*(?=\|))((?:\|[a-zA-Z]+(?::[^|}]*)?)*)\}/g;
+
+    /**
+     * Text filters applied with {1|name} or {1|name:argument}, left to right
+     */
+    static FILTERS = {
+        upper: (value) => value.toUpperCase(),
+        lower: (value) => value.toLowerCase(),
+        title: (value) => value.toLowerCase().replace(/(^|\s)(\S)/g, (match, space, char) => space + char.toUpperCase()),
+        capitalize: (value) => value.charAt(0).toUpperCase() + value.slice(1),
+        trim: (value) => value.trim(),
+        slug: (value) => value.normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, ''),
+        wikilink: (value) => `[[${value}]]`,
+        code: (value) => `\`${value}\``,
+        escape: (value) => value.replace(/[\\`*_[\]#|<>~=^]/g, '\\$&'),
+        quote: (value) => value.split('\n').map(line => `> ${line}`).join('\n'),
+        prefix: (value, argument = '') => value.split('\n').map(line => argument + line).join('\n'),
+        wrap: (value, argument = '') => argument + value + argument
+    };
+
+    /**
+     * Written before "{{" to insert it literally instead of starting a placeholder, block or include
+     */
+    static ESCAPED_BRACES = '\\{{';
+
+    /**
+     * Matches {{> key}} includes of other snippets
+     */
+    static INCLUDE_REGEX = /(?<!\\)\{\{>\s*([a-zA-Z0-9_-]+)\s*\}\}/g;
+
+    /**
+     * Matches block tags: {{#each name}} / {{#if name}} / {{#if name:arg}} (opening type, name, argument),
+     * {{else}} and {{/each}} / {{/if}} (closing type)
+     */
+    static BLOCK_TAG_REGEX = /(?<!\\)\{\{\s*(?:#(each|if)\s+([a-zA-Z_][\w-]*)(?::([^}]*))?|(else)|\/(each|if))\s*\}\}/g;
+
+    /**
+     * Process a snippet template with selected text and named values
+     * 
+     * @param {string} snippetText - The snippet template containing {1}, {2}, {{name}}, etc.
+     * @param {string} selectedText - The selected text to use for positional replacements
+     * @param {Object<string, string>} [values={}] - Values for named placeholders and built-in variables
+     * @param {object} [options={}] - Selection options, usually the snippet record (see splitSelection)
+     * @returns {string} The processed snippet text with replacements applied
+     * 
+     * @example
+     * // Single line replacement
+     * processTemplate("Hello, {1}!", "John Doe") // "Hello, John Doe!"
+     * 
+     * @example  
+     * // Multi-line individual replacement
+     * processTemplate("- {1}\n- {2}", "one\ntwo") // "- one\n- two"
+     * 
+     * @example
+     * // Lines beyond the last placeholder are left out
+     * processTemplate("> {1}\n> {2}", "Hello\nworld\ntest") // "> Hello\n> world"
+     * 
+     * @example
+     * // Named replacement with defaults
+     * processTemplate("{{name}} is {{status|open,closed}}", "", { name: "Bug" }) // "Bug is open"
+     * 
+     * @example
+     * // Repeat the whole template for each selected line
+     * processTemplate("- [ ] {1}", "one\ntwo", {}, { selectionMode: "each-line" }) // "- [ ] one\n- [ ] two"
+     * 
+     * @example
+     * // Repeat a block for each selected line, with a header
+     * processTemplate("Todo:\n{{#each line}}{{index}}. {{line}}{{/each}}", "one\ntwo") // "Todo:\n1. one\n2. two"
+     * 
+     * @example
+     * // Conditional section
+     * processTemplate("{{#if selection}}> {1}{{else}}> Empty{{/if}}", "") // "> Empty"
+     */
+    static processTemplate(snippetText, selectedText, values = {}, options = {}) {
+        const { mode, keepWhitespace } = this.getSelectionOptions(options);
+
+        if (mode === 'each-line' && selectedText) {
+            const lineOptions = { ...options, selectionMode: 'whole' };
+            return this.splitSelection(selectedText, options)
+                .map(line => this.processTemplate(snippetText, line, values, lineOptions))
+                .join('\n');
+        }
+
+        const context = {
+            selectedText: selectedText || '',
+            selection: keepWhitespace ? (selectedText || '') : (selectedText || '').trim(),
+            lines: this.splitSelection(selectedText || '', options),
+            values,
+            // A default declared on any occurrence of a name fills every occurrence
+            defaults: Object.fromEntries(this.extractNamedPlaceholders(snippetText)
+                .map(placeholder => [placeholder.name, placeholder.defaultValue]))
+        };
+
+        return this.renderNodes(this.parseBlocks(snippetText), context);
+    }
+
+    /**
+     * Parse a template into text, {{#each}} and {{#if}} block nodes
+     * A block tag alone on its line removes that line, so block templates can be written one tag per line.
+     * Unclosed blocks end at the end of the template; stray closing and {{else}} tags are kept as text.
+     * 
+     * @param {string} text - The snippet template
+     * @returns {object[]} Template nodes: {type: 'text', text}, {type: 'each', variable, children}
+     *     or {type: 'if', name, variableArg, children, alternate}
+     */
+    static parseBlocks(text) {
+        const root = { type: 'root', children: [] };
+        // Each entry is an open block and the node list its content currently goes to
+        const stack = [{ node: root, target: root.children }];
+        let lastIndex = 0;
+
+        const pushText = (value) => {
+            if (value) stack[stack.length - 1].target.push({ type: 'text', text: value });
+        };
+
+        for (const match of text.matchAll(this.BLOCK_TAG_REGEX)) {
+            const [tag, openingType, name, variableArg, elseTag, closingType] = match;
+            const end = match.index + tag.length;
+            const standalone = (match.index === 0 || text[match.index - 1] === '\n') && text[end] === '\n';
+            const top = stack[stack.length - 1];
+
+            pushText(text.slice(lastIndex, match.index));
+            lastIndex = standalone ? end + 1 : end;
+
+            if (openingType === 'each') {
+                const node = { type: 'each', variable: name, children: [] };
+                top.target.push(node);
+                stack.push({ node, target: node.children });
+            } else if (openingType === 'if') {
+                const node = { type: 'if', name, variableArg: variableArg?.trim(), children: [], alternate: [] };
+                top.target.push(node);
+                stack.push({ node, target: node.children });
+            } else if (elseTag && top.node.type === 'if' && top.target === top.node.children) {
+                top.target = top.node.alternate;
+            } else if (closingType && top.node.type === closingType) {
+                stack.pop();
+            } else {
+                pushText(text.slice(match.index, lastIndex));
+            }
+        }
+
+        pushText(text.slice(lastIndex));
+        return root.children;
+    }
+
+    /**
+     * Render parsed template nodes
+     * Each {{#each name}} iteration sees the current selection part as {{name}} and its 1-based
+     * position as {{index}}; iterations are placed on separate lines.
+     * {{#if name}} renders its first branch when the value is non-empty, otherwise its {{else}} branch.
+     * 
+     * @param {object[]} nodes - Nodes from parseBlocks
+     * @param {{selectedText: string, selection: string, lines: string[], values: Object<string, string>, defaults: Object<string, string>}} context - Render context
+     * @returns {string} The rendered text
+     */
+    static renderNodes(nodes, context) {
+        return nodes.map(node => {
+            if (node.type === 'text') {
+                // "\{{" is a literal "{{": fill the text around it, then drop the backslash
+                return node.text.split(this.ESCAPED_BRACES)
+                    .map(part => this.replacePlaceholders(part, context))
+                    .join('{{');
+            }
+
+            if (node.type === 'if') {
+                const branch = this.evaluateCondition(node, context) ? node.children : node.alternate;
+                return this.renderNodes(branch, context);
+            }
+
+            const iterations = context.lines.map((line, index) => this.renderNodes(node.children, {
+                ...context,
+                values: { ...context.values, [node.variable]: line, index: String(index + 1) }
+            }));
+            return iterations
+                .map((iteration, index) => index < iterations.length - 1 && !iteration.endsWith('\n') ? iteration + '\n' : iteration)
+                .join('');
+        }).join('');
+    }
+
+    /**
+     * Check whether an {{#if}} condition holds
+     * "selection" tests for selected text; any other name tests for a non-empty value, e.g. a filled
+     * named placeholder, a loop variable or a built-in variable such as fm:project
+     * 
+     * @param {{name: string, variableArg?: string}} condition - The {{#if}} node
+     * @param {{selection: string, values: Object<string, string>}} context - Render context
+     * @returns {boolean} True if the first branch should be rendered
+     */
+    static evaluateCondition(condition, context) {
+        if (condition.name === 'selection' && condition.variableArg === undefined) {
+            return context.selection.length > 0;
+        }
+
+        const value = context.values[this.getToken(condition.name, condition.variableArg)];
+        return value !== undefined && value !== null && String(value).trim().length > 0;
+    }
+
+    /**
+     * Find every named placeholder, filtered named reference and {{#if}} condition in a template
+     * @param {string} text - The snippet text
+     * @returns {{name: string, variableArg: (string|undefined)}[]} References in order of appearance
+     */
+    static findReferences(text) {
+        const references = [];
+        for (const match of text.matchAll(this.PLACEHOLDER_REGEX)) {
+            if (match[1]) {
+                references.push({ index: match.index, name: match[1], variableArg: match[2] });
+            } else if (match[5] !== 'selection' && !/^\d+$/.test(match[5])) {
+                // Filtered reference to a named value, e.g. {title|upper}
+                references.push({ index: match.index, name: match[5], variableArg: undefined });
+            }
+        }
+        for (const match of text.matchAll(this.BLOCK_TAG_REGEX)) {
+            if (match[1] === 'if') references.push({ index: match.index, name: match[2], variableArg: match[3] });
+        }
+        return references
+            .sort((a, b) => a.index - b.index)
+            .map(({ name, variableArg }) => ({ name, variableArg }));
+    }
+
+    /**
+     * Replace named and positional placeholders in a piece of template text
+     * @param {string} text - Template text without block tags
+     * @param {{selectedText: string, selection: string, lines: string[], values: Object<string, string>, defaults: Object<string, string>}} context - Render context
+     * @returns {string} The text with placeholders replaced
+     */
+    static replacePlaceholders(text, context) {
+        const { selectedText, values, defaults } = context;
+
+        // Single pass so replacement values are never re-processed as placeholders
+        return text.replace(this.PLACEHOLDER_REGEX, (match, name, variableArg, operator, argument, reference, filters) => {
+            if (name) {
+                const token = this.getToken(name, variableArg);
+                if (Object.prototype.hasOwnProperty.call(values, token)) {
+                    return values[token];
+                }
+                if (Object.prototype.hasOwnProperty.call(defaults, token)) {
+                    return defaults[token];
+                }
+                return this.parseNamedPlaceholder(name, operator, argument).defaultValue;
+            }
+
+            // Filtered references to named values (e.g. a loop variable) are left untouched when unknown
+            if (reference !== 'selection' && !/^\d+$/.test(reference)) {
+                return Object.prototype.hasOwnProperty.call(values, reference)
+                    ? this.applyFilters(values[reference], filters)
+                    : match;
+            }
+
+            // Positional placeholders are left untouched when nothing is selected
+            if (!selectedText) {
+                return match;
+            }
+
+            return this.applyFilters(this.getPositionalValue(reference, context), filters);
+        });
+    }
+
+    /**
+     * Get the selection part for a positional {n} or {selection} placeholder
+     * @param {string} position - The placeholder number, or "selection"
+     * @param {{selection: string, lines: string[]}} context - Render context
+     * @returns {string} The value to insert
+     */
+    static getPositionalValue(position, context) {
+        const { selection, lines } = context;
+
+        if (position === 'selection') {
+            return selection;
+        }
+
+        const paramNum = parseInt(position, 10);
+        if (paramNum === 1) {
+            return lines.length > 0 ? lines[0] : '';
+        } else if (paramNum > 1 && paramNum <= lines.length) {
+            return lines[paramNum - 1];
+        }
+        return '';
+    }
+
+    /**
+     * Apply a filter chain to a value
+     * Unknown filters are skipped with a warning
+     * @param {string} value - The value to filter
+     * @param {string} [chain] - The filter chain, e.g. "|trim|wrap:**"
+     * @returns {string} The filtered value
+     */
+    static applyFilters(value, chain) {
+        return this.parseFilters(chain).reduce((result, { name, argument }) => {
+            if (!Object.prototype.hasOwnProperty.call(this.FILTERS, name)) {
+                console.warn(`Insertive: Unknown filter "${name}"`);
+                return result;
+            }
+            return this.FILTERS[name](result, argument);
+        }, String(value));
+    }
+
+    /**
+     * Split a filter chain into filter names and arguments
+     * @param {string} [chain] - The filter chain, e.g. "|trim|wrap:**"
+     * @returns {{name: string, argument: (string|undefined)}[]} Filters in the order they apply
+     */
+    static parseFilters(chain) {
+        return (chain || '').split('|')
+            .filter(filter => filter.length > 0)
+            .map(filter => {
+                const separator = filter.indexOf(':');
+                return separator === -1
+                    ? { name: filter, argument: undefined }
+                    : { name: filter.slice(0, separator), argument: filter.slice(separator + 1) };
+            });
+    }
+
+    /**
+     * Process a snippet template and extract its tab stops
+     * Tab stops are marked before processing so selected text containing "$1" is left alone
+     * 
+     * @param {string} snippetText - The snippet template
+     * @param {string} selectedText - The selected text
+     * @param {Object<string, string>} [values={}] - Values for named placeholders and built-in variables
+     * @param {object} [options={}] - Selection options, usually the snippet record
+     * @returns {{text: string, stops: {index: number, from: number, to: number}[]}} Final text and tab stop offsets
+     */
+    static renderSnippet(snippetText, selectedText, values = {}, options = {}) {
+        const markedText = TabStops.mark(snippetText);
+        return TabStops.extract(this.processTemplate(markedText, selectedText, values, options));
+    }
+
+    /**
+     * Replace {{> key}} includes with the included snippets' text, recursively
+     * Includes of snippets that do not exist are left as they are
+     * 
+     * @param {string} text - The snippet text
+     * @param {Function} lookup - Returns the body of a snippet by key, or undefined if missing
+     * @param {string[]} [chain=[]] - Keys currently being expanded, outermost first
+     * @returns {string} The text with includes expanded
+     * @throws {Error} If a snippet includes itself, directly or through other snippets
+     */
+    static expandIncludes(text, lookup, chain = []) {
+        return text.replace(this.INCLUDE_REGEX, (match, key) => {
+            if (chain.includes(key)) {
+                throw new Error(`Snippet include cycle: ${[...chain, key].join(' → ')}`);
+            }
+
+            const body = lookup(key);
+            return body === undefined ? match : this.expandIncludes(body, lookup, [...chain, key]);
+        });
+    }
+
+    /**
+     * Get the keys of the snippets a snippet includes directly
+     * @param {string} text - The snippet text
+     * @returns {string[]} Unique included keys in order of appearance
+     */
+    static findIncludes(text) {
+        return [...new Set([...text.matchAll(this.INCLUDE_REGEX)].map(match => match[1]))];
+    }
+
+    /**
+     * Point {{> oldKey}} includes at a renamed snippet
+     * @param {string} text - The snippet text
+     * @param {string} oldKey - The previous key
+     * @param {string} newKey - The new key
+     * @returns {string} The text with matching includes updated
+     */
+    static renameIncludes(text, oldKey, newKey) {
+        return text.replace(this.INCLUDE_REGEX, (match, key) => key === oldKey ? `{{> ${newKey}}}` : match);
+    }
+
+    /**
+     * Escape every "{{" so the text is inserted as written instead of resolving placeholders
+     * @param {string} text - Text without named placeholders, e.g. "# {{title}}" from a core template
+     * @returns {string} The text with each "{{" written as "\{{"
+     */
+    static escape(text) {
+        return text.replaceAll('{{', this.ESCAPED_BRACES);
+    }
+
+    /**
+     * Read a snippet's selection options, with defaults for unset fields
+     * @param {{selectionMode?: string, selectionPattern?: string, selectionDelimiter?: string, keepWhitespace?: boolean}} options - Usually the snippet record
+     * @returns {{mode: string, pattern: string, delimiter: string, keepWhitespace: boolean}} Selection options
+     */
+    static getSelectionOptions(options) {
+        return {
+            mode: Object.prototype.hasOwnProperty.call(CONSTANTS.SELECTION_MODES, options.selectionMode)
+                ? options.selectionMode
+                : 'lines',
+            pattern: options.selectionPattern || '',
+            delimiter: options.selectionDelimiter || ',',
+            keepWhitespace: !!options.keepWhitespace
+        };
+    }
+
+    /**
+     * Split the selected text into the parts that fill {1}, {2}, ... according to the selection mode
+     * 
+     * - lines: one part per line (default)
+     * - whole: the whole selection as a single part
+     * - each-line: one part per line; the template is repeated for each (see processTemplate)
+     * - paragraphs: one part per blank-line-separated paragraph
+     * - regex: the capture groups of the first match of selectionPattern
+     * - delimiter: split on selectionDelimiter (e.g. "," or "\t")
+     * 
+     * Parts are trimmed and empty ones dropped unless keepWhitespace is set.
+     * 
+     * @param {string} selectedText - The selected text
+     * @param {object} options - Selection options, usually the snippet record
+     * @returns {string[]} The selection parts
+     */
+    static splitSelection(selectedText, options = {}) {
+        const { mode, pattern, delimiter, keepWhitespace } = this.getSelectionOptions(options);
+        let parts;
+
+        switch (mode) {
+            case 'whole':
+                parts = [selectedText];
+                break;
+            case 'paragraphs':
+                parts = selectedText.split(/\n[ \t]*\n/);
+                break;
+            case 'regex': {
+                let match = null;
+                try {
+                    match = new RegExp(pattern).exec(selectedText);
+                } catch (error) {
+                    console.warn('Insertive: Invalid selection pattern:', error);
+                }
+                // Capture groups keep their positions, so unmatched groups stay empty
+                return match ? match.slice(1).map(group => keepWhitespace ? (group ?? '') : (group ?? '').trim()) : [];
+            }
+            case 'delimiter':
+                parts = selectedText.split(delimiter);
+                break;
+            default:
+                parts = selectedText.split('\n');
+        }
+
+        if (keepWhitespace) {
+            return parts;
+        }
+        return parts
+            .map(part => part.trim())
+            .filter(part => part.length > 0);
+    }
+
+    /**
+     * Build the lookup token for a named placeholder or built-in variable
+     * @param {string} name - The placeholder name
+     * @param {string} [variableArg] - The argument after the colon, e.g. a date format
+     * @returns {string} The token, e.g. "title" or "date:YYYY-MM-DD"
+     */
+    static getToken(name, variableArg) {
+        return variableArg !== undefined ? `${name}:${variableArg.trim()}` : name;
+    }
+
+    /**
+     * Build a named placeholder definition from its parsed parts
+     * @param {string} name - The placeholder name
+     * @param {string} [operator] - "=" for a default value, "|" for an option list
+     * @param {string} [argument] - The default value or comma-separated options
+     * @returns {{name: string, defaultValue: string, options: string[]}} Placeholder definition
+     */
+    static parseNamedPlaceholder(name, operator, argument) {
+        if (operator === '|') {
+            const options = argument.split(',')
+                .map(option => option.trim())
+                .filter(option => option.length > 0);
+            return { name, defaultValue: options[0] || '', options };
+        }
+        return { name, defaultValue: operator === '=' ? argument : '', options: [] };
+    }
+
+    /**
+     * Extract all unique named placeholders in order of first appearance
+     * A default or option list given on any occurrence applies to every occurrence
+     * Built-in variables are not included
+     * @param {string} text - The snippet text
+     * @returns {{name: string, defaultValue: string, options: string[]}[]} Placeholder definitions
+     */
+    static extractNamedPlaceholders(text) {
+        const placeholders = new Map();
+
+        // Loop variables (and {{index}}) are filled by their {{#each}} block, not by the user
+        const visit = (nodes, bound) => nodes.forEach(node => {
+            if (node.type === 'each') {
+                visit(node.children, new Set([...bound, node.variable, 'index']));
+                return;
+            }
+            if (node.type === 'if') {
+                visit(node.children, bound);
+                visit(node.alternate, bound);
+                return;
+            }
+
+            for (const [, name, , operator, argument] of node.text.matchAll(this.PLACEHOLDER_REGEX)) {
+                if (!name || SnippetVariables.isBuiltin(name) || bound.has(name)) continue;
+
+                const parsed = this.parseNamedPlaceholder(name, operator, argument);
+                const existing = placeholders.get(name);
+                if (!existing) {
+                    placeholders.set(name, parsed);
+                } else if (operator && !existing.defaultValue && existing.options.length === 0) {
+                    placeholders.set(name, parsed);
+                }
+            }
+        });
+        visit(this.parseBlocks(text), new Set());
+
+        return [...placeholders.values()];
+    }
+
+    /**
+     * Fill named placeholders from the selection parts, in order of first appearance
+     * In each-line mode every line fills the positional placeholders instead, so nothing is filled
+     * @param {string} text - The snippet text
+     * @param {string} selectedText - The selected text
+     * @param {object} [options={}] - Selection options, usually the snippet record
+     * @returns {Object<string, string>} Values keyed by placeholder name
+     */
+    static namedValuesFromSelection(text, selectedText, options = {}) {
+        if (this.getSelectionOptions(options).mode === 'each-line') {
+            return {};
+        }
+        const lines = this.splitSelection(selectedText, options);
+
+        const values = {};
+        this.extractNamedPlaceholders(text).forEach((placeholder, index) => {
+            if (index < lines.length) values[placeholder.name] = lines[index];
+        });
+        return values;
+    }
+
+    /**
+     * Check if snippet text contains {n} placeholders
+     * @param {string} text - The text to check
+     * @returns {boolean} True if placeholders are found
+     */
+    static hasPlaceholders(text) {
+        return /\{\d+\}/.test(text);
+    }
+
+    /**
+     * Extract all unique placeholders from snippet text
+     * @param {string} text - The snippet text
+     * @returns {string[]} Array of unique placeholders like ["{1}", "{2}"]
+     */
+    static extractPlaceholders(text) {
+        const matches = text.match(/\{\d+\}/g);
+        return matches ? [...new Set(matches)] : [];
+    }
+}
+
+/**
+ * Built-in variables resolved at insert time
+ * 
+ * - {{date}} / {{date:FORMAT}} current date (default format YYYY-MM-DD)
+ * - {{time}} / {{time:FORMAT}} current time (default format HH:mm)
+ * - {{title}} basename of the current note
+ * - {{folder}} folder path of the current note
+ * - {{path}} vault path of the current note
+ * - {{fm:field}} frontmatter field of the current note
+ * - {{clipboard}} clipboard text
+ * 
+ * Formats use Moment.js syntax. A default can be given for values that may be missing,
+ * e.g. {{fm:project=Inbox}}.
+ */
+class SnippetVariables {
+    /**
+     * Resolvers keyed by variable name, called with the insert context and the argument after the colon
+     */
+    static RESOLVERS = {
+        date: (context, format) => context.now.format(format || 'YYYY-MM-DD'),
+        time: (context, format) => context.now.format(format || 'HH:mm'),
+        title: (context) => context.file?.basename,
+        folder: (context) => {
+            const folder = context.file?.parent?.path;
+            return folder === '/' ? '' : folder;
+        },
+        path: (context) => context.file?.path,
+        fm: (context, field) => {
+            if (!context.file || !field) return undefined;
+            const frontmatter = context.app.metadataCache.getFileCache(context.file)?.frontmatter;
+            const value = frontmatter?.[field];
+            if (value === undefined || value === null) return undefined;
+            return Array.isArray(value) ? value.join(', ') : String(value);
+        },
+        clipboard: async () => {
+            try {
+                return await navigator.clipboard.readText();
+            } catch (error) {
+                console.warn('Insertive: Failed to read clipboard:', error);
+                return undefined;
+            }
+        }
+    };
+
+    /**
+     * Check whether a placeholder name is a built-in variable
+     * @param {string} name - The placeholder name
+     * @returns {boolean} True if the name is reserved for a built-in variable
+     */
+    static isBuiltin(name) {
+        return Object.prototype.hasOwnProperty.call(this.RESOLVERS, name);
+    }
+
+    /**
+     * Resolve every built-in variable used in the snippet text
+     * Variables that cannot be resolved (e.g. no active note) are left out,
+     * so their placeholder falls back to its default value
+     * 
+     * @param {string} text - The snippet text
+     * @param {{app: object, file: ?TFile, now?: moment.Moment}} context - The insert context
+     * @returns {Promise<Object<string, string>>} Values keyed by token, e.g. "date:YYYY-MM-DD"
+     */
+    static async resolve(text, context) {
+        const resolveContext = { now: moment(), ...context };
+        const values = {};
+
+        for (const { name, variableArg } of SnippetProcessor.findReferences(text)) {
+            if (!this.isBuiltin(name)) continue;
+
+            const token = SnippetProcessor.getToken(name, variableArg);
+            if (Object.prototype.hasOwnProperty.call(values, token)) continue;
+
+            const value = await this.RESOLVERS[name](resolveContext, variableArg?.trim());
+            if (value !== undefined && value !== null) {
+                values[token] = value;
+            }
+        }
+
+        return values;
+    }
+}
+
+/**
+ * VS Code-style tab stops: $1, ${1}, ${1:default text} and the final $0
+ * A literal dollar sign before a digit is written as \$
+ * 
+ * Templates are marked first (tab stops become private-use marker characters), then processed,
+ * then the markers are stripped and turned into offsets into the final text.
+ */
+class TabStops {
+    static START = '\uE000';
+    static SEPARATOR = '\uE001';
+    static END = '\uE002';
+
+    /**
+     * Replace tab stop syntax with marker characters
+     * @param {string} text - The snippet template
+     * @returns {string} The template with tab stops marked
+     */
+    static mark(text) {
+        let result = '';
+        let i = 0;
+
+        while (i < text.length) {
+            const char = text[i];
+
+            if (char === '\\' && text[i + 1] === '$') {
+                result += '$';
+                i += 2;
+                continue;
+            }
+
+            if (char === '$') {
+                // $1
+                const plain = /^\$(\d+)/.exec(text.slice(i));
+                if (plain) {
+                    result += this.START + plain[1] + this.SEPARATOR + this.END;
+                    i += plain[0].length;
+                    continue;
+                }
+
+                // ${1} or ${1:default}, where the default may contain braces
+                const braced = /^\$\{(\d+)(:?)/.exec(text.slice(i));
+                const close = braced ? this.findClosingBrace(text, i + braced[0].length) : -1;
+                if (braced && close !== -1 && (braced[2] || close === i + braced[0].length)) {
+                    const defaultText = this.mark(text.slice(i + braced[0].length, close));
+                    result += this.START + braced[1] + this.SEPARATOR + defaultText + this.END;
+                    i = close + 1;
+                    continue;
+                }
+            }
+
+            result += char;
+            i++;
+        }
+
+        return result;
+    }
+
+    /**
+     * Escape every "$" that would start a tab stop, so the text is inserted as written
+     * @param {string} text - Text without tab stops, e.g. "Price: $5"
+     * @returns {string} The text with each such "$" written as "\$"
+     */
+    static escape(text) {
+        return text.replace(/\$(?=\{?\d)/g, '\\$$');
+    }
+
+    /**
+     * Find the brace closing a ${...} tab stop, skipping nested braces
+     * @param {string} text - The text to search
+     * @param {number} start - Offset just after the opening "${n:"
+     * @returns {number} Offset of the closing brace, or -1 if unbalanced
+     */
+    static findClosingBrace(text, start) {
+        let depth = 0;
+        for (let i = start; i < text.length; i++) {
+            if (text[i] === '{') depth++;
+            else if (text[i] === '}') {
+                if (depth === 0) return i;
+                depth--;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Strip tab stop markers and collect their offsets
+     * Only the first occurrence of each index is a stop; stops are ordered by index with $0 last
+     * @param {string} text - Processed text containing markers
+     * @returns {{text: string, stops: {index: number, from: number, to: number}[]}} Clean text and stops
+     */
+    static extract(text) {
+        const stops = new Map();
+        const open = [];
+        let result = '';
+        let i = 0;
+
+        while (i < text.length) {
+            const char = text[i];
+
+            if (char === this.START) {
+                const separator = text.indexOf(this.SEPARATOR, i);
+                open.push({ index: parseInt(text.slice(i + 1, separator), 10), from: result.length });
+                i = separator + 1;
+            } else if (char === this.END) {
+                const stop = open.pop();
+                if (stop && !stops.has(stop.index)) {
+                    stops.set(stop.index, { ...stop, to: result.length });
+                }
+                i++;
+            } else {
+                result += char;
+                i++;
+            }
+        }
+
+        const ordered = [...stops.values()].sort((a, b) => {
+            if (a.index === 0) return 1;
+            if (b.index === 0) return -1;
+            return a.index - b.index;
+        });
+
+        return { text: result, stops: ordered };
+    }
+}
+
+/**
+ * Utility class for converting snippet libraries to and from files
+ * 
+ * Import accepts:
+ * - Insertive JSON (as written by export, or an Insertive data.json)
+ * - VS Code .code-snippets / snippet JSON
+ * - Espanso match YAML
+ * 
+ * Every format is converted to entries of the shape {key, body, icon, group, trigger, source}.
+ */
+class SnippetLibrary {
+    static FORMAT = 'insertive';
+    static VERSION = 1;
+
+    /**
+     * VS Code snippet variables with an Insertive equivalent
+     */
+    static VSCODE_VARIABLES = {
+        TM_SELECTED_TEXT: '{selection}',
+        CLIPBOARD: '{{clipboard}}',
+        TM_FILENAME_BASE: '{{title}}',
+        TM_DIRECTORY: '{{folder}}',
+        CURRENT_YEAR: '{{date:YYYY}}',
+        CURRENT_MONTH: '{{date:MM}}',
+        CURRENT_DATE: '{{date:DD}}',
+        CURRENT_HOUR: '{{time:HH}}',
+        CURRENT_MINUTE: '{{time:mm}}'
+    };
+
+    /**
+     * Serialize snippets to the Insertive JSON export format
+     * @param {{key: string, body: string, icon: string, group: string, trigger: string}[]} snippets - Snippets to export
+     * @returns {string} JSON text
+     */
+    static serialize(snippets) {
+        return JSON.stringify({
+            format: this.FORMAT,
+            version: this.VERSION,
+            snippets: snippets.map(({ key, body, icon, group, trigger, ...rest }) => ({
+                key, body, icon, group, trigger, ...SnippetRecord.pickOptionalFields(rest)
+            }))
+        }, null, 2);
+    }
+
+    /**
+     * Parse a snippet library file, detecting its format
+     * @param {string} text - The file content
+     * @param {string} fileName - The file name, used to detect YAML
+     * @returns {{key: string, body: string, icon: string, group: string, trigger: string, source: string}[]} Parsed entries
+     * @throws {Error} If the file cannot be parsed or has no snippets
+     */
+    static parse(text, fileName) {
+        const extension = fileName.split('.').pop().toLowerCase();
+        let entries;
+
+        if (extension === 'yml' || extension === 'yaml') {
+            entries = this.parseEspanso(parseYaml(text));
+        } else {
+            const data = JSON.parse(this.stripJsonComments(text));
+            entries = this.isInsertive(data) ? this.parseInsertive(data) : this.parseVSCode(data);
+        }
+
+        if (entries.length === 0) {
+            throw new Error('No snippets found in file.');
+        }
+        return entries;
+    }
+
+    /**
+     * Check whether parsed JSON is an Insertive export or settings file rather than VS Code snippets
+     * Exports carry a format marker and settings files a schema version; version 1 settings files
+     * have neither, but map snippet keys to bodies. A VS Code snippet that happens to be named
+     * "snippets" is an object with a body field, so it is not mistaken for that map.
+     * @param {*} data - Parsed JSON
+     * @returns {boolean} True if the data is in an Insertive format
+     */
+    static isInsertive(data) {
+        if (data?.format === this.FORMAT) return true;
+
+        const snippets = data?.snippets;
+        if (Array.isArray(snippets)) return !!data.schemaVersion;
+        return !!snippets && typeof snippets === 'object'
+            && !('body' in snippets)
+            && Object.values(snippets).every(body => typeof body === 'string');
+    }
+
+    /**
+     * Parse the Insertive export format or an Insertive settings file
+     * @param {object} data - Parsed JSON
+     * @returns {object[]} Parsed entries
+     */
+    static parseInsertive(data) {
+        // Version 1 settings files keep parallel maps keyed by snippet key, and their bodies are
+        // escaped like SettingsMigrator does, so importing a file gives the same snippets as upgrading it
+        const snippets = Array.isArray(data.snippets)
+            ? data.snippets
+            : Object.entries(data.snippets).map(([key, body]) => ({
+                key,
+                body: SettingsMigrator.escapeVersion1Body(body),
+                icon: data.icons?.[key],
+                group: data.groups?.[key],
+                trigger: data.triggers?.[key]
+            }));
+
+        return snippets
+            .filter(snippet => snippet && typeof snippet.body === 'string')
+            .map(snippet => this.createEntry(String(snippet.key ?? ''), snippet.body, {
+                icon: snippet.icon,
+                group: snippet.group,
+                trigger: snippet.trigger,
+                ...SnippetRecord.pickOptionalFields(snippet),
+                source: 'Insertive'
+            }));
+    }
+
+    /**
+     * Parse VS Code snippets: {name: {prefix, body, description}}
+     * @param {object} data - Parsed JSON
+     * @returns {object[]} Parsed entries
+     */
+    static parseVSCode(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Unrecognized snippet file format.');
+        }
+
+        return Object.entries(data)
+            .filter(([, definition]) => definition && definition.body !== undefined)
+            .map(([name, definition]) => {
+                const prefix = Array.isArray(definition.prefix) ? definition.prefix[0] : definition.prefix;
+                const body = Array.isArray(definition.body) ? definition.body.join('\n') : String(definition.body);
+                const trigger = prefix && !/\s/.test(prefix) ? prefix : '';
+
+                return this.createEntry(prefix || name, this.convertVSCodeVariables(body), {
+                    trigger,
+                    source: `VS Code: ${name}`
+                });
+            });
+    }
+
+    /**
+     * Parse Espanso match YAML: {matches: [{trigger, replace}]}
+     * @param {object} data - Parsed YAML
+     * @returns {object[]} Parsed entries
+     */
+    static parseEspanso(data) {
+        if (!Array.isArray(data?.matches)) {
+            throw new Error('Espanso file has no "matches" list.');
+        }
+
+        return data.matches
+            .map(match => ({
+                trigger: match.trigger ?? match.triggers?.[0],
+                body: match.replace ?? match.markdown
+            }))
+            .filter(match => match.trigger && typeof match.body === 'string')
+            .map(match => {
+                // Espanso triggers carry their own prefix (e.g. ":date"); Insertive adds its own
+                const trigger = String(match.trigger).replace(/^[^a-zA-Z0-9]+/, '');
+                // Espanso has no tab stops, so "$5" is literal text; it marks the cursor position with $|$
+                const body = TabStops.escape(match.body).replace(/\$\|\$/g, '$0');
+
+                return this.createEntry(trigger, body, {
+                    trigger: /\s/.test(trigger) ? '' : trigger,
+                    source: `Espanso: ${match.trigger}`
+                });
+            });
+    }
+
+    /**
+     * Build an import entry with a sanitized key
+     * @param {string} rawKey - Key as found in the source file
+     * @param {string} body - Snippet text
+     * @param {{icon?: string, group?: string, trigger?: string, source: string}} details - Entry details, plus any selection options
+     * @returns {{key: string, body: string, icon: string, group: string, trigger: string, source: string}} Entry
+     */
+    static createEntry(rawKey, body, details) {
+        return {
+            key: this.sanitizeKey(rawKey),
+            body,
+            icon: details.icon || CONSTANTS.DEFAULT_ICON,
+            group: SnippetGroups.normalize(details.group),
+            trigger: details.trigger || '',
+            ...SnippetRecord.pickOptionalFields(details),
+            source: details.source
+        };
+    }
+
+    /**
+     * Turn an arbitrary name into a snippet key candidate (still needs validation)
+     * @param {string} name - The raw name
+     * @returns {string} Key with whitespace replaced by hyphens and other characters removed
+     */
+    static sanitizeKey(name) {
+        return name.trim().replace(/\s+/g, '-').replace(/[^a-zA-Z0-9_-]/g, '');
+    }
+
+    /**
+     * Convert VS Code variables ($NAME or ${NAME}) to Insertive placeholders where possible
+     * @param {string} body - VS Code snippet body
+     * @returns {string} Converted body
+     */
+    static convertVSCodeVariables(body) {
+        return body.replace(/\$\{([A-Z_]+)\}|\$([A-Z_]+)/g, (match, braced, plain) => {
+            return this.VSCODE_VARIABLES[braced || plain] ?? match;
+        });
+    }
+
+    /**
+     * Remove // and /* *\/ comments and trailing commas, which VS Code allows in snippet files
+     * @param {string} text - JSON with comments
+     * @returns {string} Plain JSON
+     */
+    static stripJsonComments(text) {
+        let result = '';
+        let inString = false;
+        // Offset in result of a comma that may turn out to be trailing, or -1
+        let comma = -1;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inString) {
+                result += char;
+                if (char === '\\') {
+                    result += text[++i] ?? '';
+                } else if (char === '"') {
+                    inString = false;
+                }
+            } else if (char === '"') {
+                inString = true;
+                comma = -1;
+                result += char;
+            } else if (char === '/' && text[i + 1] === '/') {
+                while (i < text.length && text[i] !== '\n') i++;
+                result += '\n';
+            } else if (char === '/' && text[i + 1] === '*') {
+                const end = text.indexOf('*/', i + 2);
+                i = end === -1 ? text.length : end + 1;
+            } else {
+                if ((char === '}' || char === ']') && comma !== -1) {
+                    result = result.slice(0, comma) + result.slice(comma + 1);
+                }
+                if (char === ',') {
+                    comma = result.length;
+                } else if (!/\s/.test(char)) {
+                    comma = -1;
+                }
+                result += char;
+            }
+        }
+
+        return result;
+    }
+}
+
+/**
+ * Utility class for rendering Lucide icons with live preview support
+ */
+class IconRenderer {
+    /**
+     * Render a Lucide icon in the provided element using Obsidian's setIcon
+     * @param {HTMLElement} element - The element to render the icon in
+     * @param {string} iconName - The Lucide icon name
+     */
+    static renderIcon(element, iconName) {
+        if (!iconName || !element) return;
+        
+        try {
+            const { setIcon } = require('obsidian');
+            setIcon(element, iconName);
+        } catch (error) {
+            console.warn('IconRenderer: Failed to render icon:', iconName, error);
+            element.textContent = '#';
+        }
+    }
+
+    /**
+     * Create a debounced function to prevent excessive API calls
+     * @param {Function} func - Function to debounce
+     * @param {number} delay - Delay in milliseconds
+     * @returns {Function} Debounced function
+     */
+    static debounce(func, delay) {
+        let timeoutId;
+        return function (...args) {
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(() => func.apply(this, args), delay);
+        };
+    }
+}
+
+/**
+ * Command manager for handling dynamic snippet commands
+ * Manages registration and cleanup of snippet-specific commands
+ */
+class CommandManager {
+    /**
+     * @param {InsertivePlugin} plugin - The main plugin instance
+     */
+    constructor(plugin) {
+        this.plugin = plugin;
+        this.registeredCommands = new Set();
+    }
+
+    /**
+     * Register commands for all current snippets
+     * Clears existing commands first to avoid duplicates
+     */
+    registerSnippetCommands() {
+        this.clearSnippetCommands();
+
+        this.plugin.getSnippetKeys()
+            .filter(key => this.plugin.isSnippetEnabled(key))
+            .forEach(key => this.registerSnippetCommand(key));
+    }
+
+    /**
+     * Register a single snippet command with template processing
+     * @param {string} snippetKey - The key of the snippet to create a command for
+     */
+    registerSnippetCommand(snippetKey) {
+        const commandId = CONSTANTS.COMMAND_PREFIX + snippetKey;
+        this.registeredCommands.add(commandId);
+        
+        this.plugin.addCommand({
+            id: commandId,
+            name: `Insert Snippet: ${snippetKey}`,
+            editorCheckCallback: (checking, editor, view) => {
+                if (!this.plugin.isSnippetInScope(snippetKey, editor, view?.file)) return false;
+                if (!checking) {
+                    this.plugin.insertSnippet(editor, snippetKey);
+                }
+                return true;
+            }
+        });
+    }
+
+    /**
+     * Clear all registered snippet commands
+     * Called during plugin unload and command re-registration
+     */
+    clearSnippetCommands() {
+        // Obsidian stores plugin commands under "<plugin id>:<command id>", so remove them through the plugin
+        this.registeredCommands.forEach(commandId => {
+            this.plugin.removeCommand(commandId);
+        });
+        this.registeredCommands.clear();
+    }
+
+    /**
+     * Clean up resources
+     */
+    destroy() {
+        this.clearSnippetCommands();
+        this.registeredCommands = null;
+        this.plugin = null;
+    }
+}
+
+/**
+ * Context menu manager for handling right-click menu integration
+ * Provides snippet insertion through editor context menu
+ */
+class ContextMenuManager {
+    /**
+     * @param {InsertivePlugin} plugin - The main plugin instance
+     */
+    constructor(plugin) {
+        this.plugin = plugin;
+    }
+
+    /**
+     * Add Insertive submenu to the editor context menu with group support
+     * Only snippets whose scope allows the cursor position are listed
+     * @param {Menu} menu - The Obsidian menu object
+     * @param {Editor} editor - The current editor instance
+     * @param {TFile} [file] - The note being edited
+     */
+    addContextMenu(menu, editor, file) {
+        const snippets = this.plugin.getSnippetKeysInScope(editor, file).map(key => this.plugin.getSnippet(key));
+        
+        if (snippets.length === 0) {
+            menu.addItem((item) => {
+                item.setTitle("Insertive")
+                    .setIcon("file-down")
+                    .setDisabled(true);
+            });
+            return;
+        }
+
+        menu.addItem((item) => {
+            item.setTitle("Insertive").setIcon("text-cursor-input");
+            
+            const submenu = item.setSubmenu();
+            
+            // Pinned snippets first, then the optional recent and frequent sections
+            const pinned = snippets.filter(snippet => snippet.pinned);
+            if (pinned.length > 0) {
+                pinned.forEach(snippet => this.addSnippetMenuItem(submenu, snippet.key, editor));
+                submenu.addSeparator();
+            }
+            if (this.plugin.settings.menuShowRecent) {
+                this.addUsageSection(submenu, 'Recent', 'history', snippets, (usage) => usage.lastUsed, editor);
+            }
+            if (this.plugin.settings.menuShowFrequent) {
+                this.addUsageSection(submenu, 'Frequent', 'flame', snippets, (usage) => usage.count, editor);
+            }
+            
+            // Organize snippets into nested groups (preserving order)
+            const tree = SnippetGroups.buildTree(snippets, this.plugin.settings.groups);
+            this.addGroupItems(submenu, tree, editor);
+            
+            // Add management options
+            submenu.addSeparator();
+            submenu.addItem((subitem) => {
+                subitem.setTitle("Manage Snippets...")
+                       .setIcon("settings")
+                       .onClick(() => {
+                           this.plugin.app.setting.open();
+                           this.plugin.app.setting.openTabById(this.plugin.manifest.id);
+                       });
+            });
+        });
+    }
+
+    /**
+     * Show a menu of pinned snippets that inserts into the active editor
+     * Used by the ribbon icon and the status bar item
+     * @param {MouseEvent} evt - The click event to position the menu at
+     */
+    showPinnedMenu(evt) {
+        const editor = this.plugin.app.workspace.activeEditor?.editor;
+        if (!editor) {
+            new Notice('Open a note to insert a pinned snippet.');
+            return;
+        }
+
+        const menu = new Menu();
+        const pinned = this.plugin.getSnippetKeysInScope(editor)
+            .map(key => this.plugin.getSnippet(key))
+            .filter(snippet => snippet.pinned);
+
+        if (pinned.length === 0) {
+            menu.addItem((item) => {
+                item.setTitle('No pinned snippets')
+                    .setIcon(CONSTANTS.PINNED_ICON)
+                    .setDisabled(true);
+            });
+        } else {
+            pinned.forEach(snippet => this.addSnippetMenuItem(menu, snippet.key, editor));
+        }
+
+        menu.addSeparator();
+        menu.addItem((item) => {
+            item.setTitle("Manage Snippets...")
+                .setIcon("settings")
+                .onClick(() => {
+                    this.plugin.app.setting.open();
+                    this.plugin.app.setting.openTabById(this.plugin.manifest.id);
+                });
+        });
+
+        menu.showAtMouseEvent(evt);
+    }
+
+    /**
+     * Add a titled section of the used snippets with the highest usage value, followed by a separator
+     * Nothing is added when none of the snippets have been used
+     * @param {Menu} menu - The menu to add the items to
+     * @param {string} title - The section title
+     * @param {string} icon - The section title icon
+     * @param {object[]} snippets - The snippets available here
+     * @param {Function} rank - Returns the value to sort by (highest first) from a snippet's usage
+     * @param {Editor} editor - The editor instance
+     */
+    addUsageSection(menu, title, icon, snippets, rank, editor) {
+        const ranked = snippets
+            .map(snippet => ({ snippet, usage: this.plugin.getUsage(snippet) }))
+            .filter(({ usage }) => usage.count > 0)
+            .sort((a, b) => rank(b.usage) - rank(a.usage))
+            .slice(0, CONSTANTS.MENU_SECTION_SIZE);
+        if (ranked.length === 0) return;
+
+        menu.addItem((item) => {
+            item.setTitle(title).setIcon(icon).setDisabled(true);
+        });
+        ranked.forEach(({ snippet }) => this.addSnippetMenuItem(menu, snippet.key, editor));
+        menu.addSeparator();
+    }
+
+    /**
+     * Add a group's snippets followed by a submenu for each child group
+     * @param {Menu} menu - The menu to add the items to
+     * @param {object} node - The group tree node (see SnippetGroups.buildTree)
+     * @param {Editor} editor - The editor instance
+     */
+    addGroupItems(menu, node, editor) {
+        // Snippets first (in settings order, not sorted)
+        node.snippets.forEach((snippet) => {
+            this.addSnippetMenuItem(menu, snippet.key, editor);
+        });
+        
+        // Add separator if there are also child groups
+        if (node.snippets.length > 0 && node.children.length > 0) {
+            menu.addSeparator();
+        }
+        
+        // Child groups in their manual order
+        node.children.forEach((child) => {
+            menu.addItem((groupItem) => {
+                groupItem.setTitle(child.name).setIcon(child.icon);
+                this.addGroupItems(groupItem.setSubmenu(), child, editor);
+            });
+        });
+    }
+
+    /**
+     * Add a single snippet menu item
+     * @param {Menu} menu - The menu to add the item to
+     * @param {string} key - The snippet key
+     * @param {Editor} editor - The editor instance
+     */
+    addSnippetMenuItem(menu, key, editor) {
+        menu.addItem((subitem) => {
+            const icon = this.plugin.getSnippet(key).icon;
+            subitem.setTitle(key)
+                   .setIcon(icon)
+                   .onClick(() => {
+                       this.plugin.insertSnippet(editor, key);
+                   });
+        });
+    }
+
+    /**
+     * Clean up resources
+     */
+    destroy() {
+        this.plugin = null;
+    }
+}
+
+/**
+ * Hotkey manager for assigning hotkeys to snippet commands
+ * Hotkeys are stored by Obsidian's hotkey manager under the full command id
+ * ("insertive:insert-snippet-<key>"), so they are moved along when a snippet is renamed
+ */
+class HotkeyManager {
+    /**
+     * Keys that only act as modifiers and cannot be a hotkey on their own
+     */
+    static MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta', 'AltGraph', 'CapsLock'];
+
+    /**
+     * @param {InsertivePlugin} plugin - The main plugin instance
+     */
+    constructor(plugin) {
+        this.plugin = plugin;
+        this.stopRecording = null;
+    }
+
+    /**
+     * Obsidian's hotkey manager
+     * @returns {object} app.hotkeyManager
+     */
+    get hotkeys() {
+        return this.plugin.app.hotkeyManager;
+    }
+
+    /**
+     * Get the full command id of a snippet command, as used by Obsidian's hotkey manager
+     * @param {string} key - The snippet key
+     * @returns {string} e.g. "insertive:insert-snippet-hello"
+     */
+    getCommandId(key) {
+        return `${this.plugin.manifest.id}:${CONSTANTS.COMMAND_PREFIX}${key}`;
+    }
+
+    /**
+     * Get the hotkeys bound to a snippet command
+     * @param {string} key - The snippet key
+     * @returns {{modifiers: string[], key: string}[]} Hotkeys
+     */
+    getHotkeys(key) {
+        return this.getCommandHotkeys(this.getCommandId(key));
+    }
+
+    /**
+     * Get the hotkeys bound to any command: custom ones if set, otherwise its defaults
+     * @param {string} commandId - The full command id
+     * @returns {{modifiers: string[], key: string}[]} Hotkeys
+     */
+    getCommandHotkeys(commandId) {
+        return this.hotkeys.getHotkeys(commandId) || this.hotkeys.getDefaultHotkeys(commandId) || [];
+    }
+
+    /**
+     * Bind a single hotkey to a snippet command, or remove its hotkeys
+     * @param {string} key - The snippet key
+     * @param {?{modifiers: string[], key: string}} hotkey - The hotkey, or null to remove
+     */
+    async setHotkey(key, hotkey) {
+        const commandId = this.getCommandId(key);
+        if (hotkey) {
+            this.hotkeys.setHotkeys(commandId, [hotkey]);
+        } else {
+            this.hotkeys.removeHotkeys(commandId);
+        }
+        await this.save();
+    }
+
+    /**
+     * Move the custom hotkeys of a snippet command to its new command id after a rename
+     * @param {string} oldKey - The previous snippet key
+     * @param {string} newKey - The new snippet key
+     */
+    async renameHotkeys(oldKey, newKey) {
+        const hotkeys = this.hotkeys.customKeys[this.getCommandId(oldKey)];
+        if (!hotkeys) return;
+
+        this.hotkeys.setHotkeys(this.getCommandId(newKey), hotkeys);
+        this.hotkeys.removeHotkeys(this.getCommandId(oldKey));
+        await this.save();
+    }
+
+    /**
+     * Remove the custom hotkeys of a snippet command, e.g. when the snippet is moved to the trash
+     * @param {string} key - The snippet key
+     * @returns {Promise<?{modifiers: string[], key: string}[]>} The removed hotkeys, or null if it had none
+     */
+    async takeHotkeys(key) {
+        const hotkeys = this.detachHotkeys(key);
+        if (hotkeys) await this.save();
+        return hotkeys;
+    }
+
+    /**
+     * Remove the custom hotkeys of a snippet command without saving, so several can be
+     * removed before a single save()
+     * @param {string} key - The snippet key
+     * @returns {?{modifiers: string[], key: string}[]} The removed hotkeys, or null if it had none
+     */
+    detachHotkeys(key) {
+        const commandId = this.getCommandId(key);
+        const hotkeys = this.hotkeys.customKeys[commandId];
+        if (!hotkeys) return null;
+
+        this.hotkeys.removeHotkeys(commandId);
+        return hotkeys;
+    }
+
+    /**
+     * Bind hotkeys removed by takeHotkeys to a snippet command again
+     * @param {string} key - The snippet key (which may differ from the one they were taken from)
+     * @param {?{modifiers: string[], key: string}[]} hotkeys - The hotkeys
+     */
+    async restoreHotkeys(key, hotkeys) {
+        if (!hotkeys?.length) return;
+
+        this.hotkeys.setHotkeys(this.getCommandId(key), hotkeys);
+        await this.save();
+    }
+
+    /**
+     * Save the hotkeys and rebuild Obsidian's hotkey lookup
+     */
+    async save() {
+        try {
+            await this.hotkeys.save();
+            this.hotkeys.bake();
+        } catch (error) {
+            console.error('Insertive: Error saving hotkeys:', error);
+            new Notice('Failed to save the hotkey');
+        }
+    }
+
+    /**
+     * Find the commands, other than a snippet's own, that a hotkey is already bound to
+     * @param {{modifiers: string[], key: string}} hotkey - The hotkey
+     * @param {string} [key] - The snippet key whose own command is ignored
+     * @returns {string[]} Names of the conflicting commands
+     */
+    findConflicts(hotkey, key) {
+        const ownId = key ? this.getCommandId(key) : null;
+        const wanted = this.serialize(hotkey);
+
+        return this.plugin.app.commands.listCommands()
+            .filter(command => command.id !== ownId)
+            .filter(command => this.getCommandHotkeys(command.id).some(bound => this.serialize(bound) === wanted))
+            .map(command => command.name);
+    }
+
+    /**
+     * Get a comparable string for a hotkey
+     * @param {{modifiers: string[], key: string}} hotkey - The hotkey
+     * @returns {string} e.g. "Mod,Shift+H"
+     */
+    serialize(hotkey) {
+        return `${[...hotkey.modifiers].sort().join(',')}+${hotkey.key.toUpperCase()}`;
+    }
+
+    /**
+     * Format a hotkey for display
+     * @param {{modifiers: string[], key: string}} hotkey - The hotkey
+     * @returns {string} e.g. "Ctrl + Shift + H", or "⌘ ⇧ H" on macOS
+     */
+    format(hotkey) {
+        const names = Platform.isMacOS
+            ? { Mod: '⌘', Ctrl: '⌃', Meta: '⌘', Alt: '⌥', Shift: '⇧' }
+            : { Mod: 'Ctrl', Ctrl: 'Ctrl', Meta: 'Win', Alt: 'Alt', Shift: 'Shift' };
+        const key = hotkey.key.length === 1 ? hotkey.key.toUpperCase() : hotkey.key;
+        return [...hotkey.modifiers.map(modifier => names[modifier] || modifier), key].join(Platform.isMacOS ? ' ' : ' + ');
+    }
+
+    /**
+     * Turn a keydown event into a hotkey in Obsidian's format
+     * "Mod" is Cmd on macOS and Ctrl elsewhere. Letters and digits are read from the physical
+     * key, so Shift+1 is recorded as "1" rather than "!".
+     * @param {KeyboardEvent} evt - The keydown event
+     * @returns {?{modifiers: string[], key: string}} The hotkey, or null for a modifier key or
+     *     a plain key without modifiers (other than F1-F24)
+     */
+    fromEvent(evt) {
+        if (HotkeyManager.MODIFIER_KEYS.includes(evt.key)) return null;
+
+        const modifiers = [];
+        if (Platform.isMacOS ? evt.metaKey : evt.ctrlKey) modifiers.push('Mod');
+        if (Platform.isMacOS && evt.ctrlKey) modifiers.push('Ctrl');
+        if (!Platform.isMacOS && evt.metaKey) modifiers.push('Meta');
+        if (evt.altKey) modifiers.push('Alt');
+        if (evt.shiftKey) modifiers.push('Shift');
+
+        const physical = /^(?:Key([A-Z])|Digit(\d))$/.exec(evt.code || '');
+        const key = physical ? (physical[1] || physical[2]) : (evt.key.length === 1 ? evt.key.toUpperCase() : evt.key);
+
+        if (modifiers.length === 0 && !/^F\d{1,2}$/.test(key)) return null;
+        return { modifiers, key };
+    }
+
+    /**
+     * Wait for the user to press a hotkey, showing a prompt on a button meanwhile
+     * Escape cancels; starting a new recording cancels the previous one
+     * @param {HTMLElement} buttonEl - The button to show the prompt on
+     * @returns {Promise<?{modifiers: string[], key: string}>} The hotkey, or null if cancelled
+     */
+    record(buttonEl) {
+        this.cancelRecording();
+
+        return new Promise((resolve) => {
+            const previousText = buttonEl.textContent;
+            buttonEl.setText('Press a hotkey...');
+
+            const onKeyDown = (evt) => {
+                evt.preventDefault();
+                evt.stopPropagation();
+                if (evt.key === 'Escape') {
+                    finish(null);
+                    return;
+                }
+                const hotkey = this.fromEvent(evt);
+                if (hotkey) finish(hotkey);
+            };
+
+            const finish = (hotkey) => {
+                window.removeEventListener('keydown', onKeyDown, true);
+                this.stopRecording = null;
+                buttonEl.setText(previousText);
+                resolve(hotkey);
+            };
+
+            window.addEventListener('keydown', onKeyDown, true);
+            this.stopRecording = finish;
+        });
+    }
+
+    /**
+     * Record a hotkey and confirm it if it is already bound to other commands
+     * @param {string} key - The snippet key the hotkey is for
+     * @param {HTMLElement} buttonEl - The button to show the prompt on
+     * @param {Function} onAccept - Called with the hotkey once recorded (and confirmed)
+     */
+    async promptHotkey(key, buttonEl, onAccept) {
+        const hotkey = await this.record(buttonEl);
+        if (!hotkey) return;
+
+        const conflicts = this.findConflicts(hotkey, key);
+        if (conflicts.length === 0) {
+            await onAccept(hotkey);
+            return;
+        }
+
+        new ConfirmModal(this.plugin.app,
+            `${this.format(hotkey)} is already used by: ${conflicts.join(', ')}. Assign it to "${key}" anyway?`,
+            () => onAccept(hotkey),
+            'Assign'
+        ).open();
+    }
+
+    /**
+     * Stop waiting for a hotkey, e.g. when the dialog showing the prompt closes
+     */
+    cancelRecording() {
+        this.stopRecording?.(null);
+    }
+
+    /**
+     * Clean up resources
+     */
+    destroy() {
+        this.cancelRecording();
+        this.plugin = null;
+    }
+}
+
+/**
+ * Folder snippet store for reading snippets from Markdown files in the vault
+ * Each file is one snippet: the key comes from the `key` frontmatter field or the file name,
+ * `icon`, `group` and `trigger` come from frontmatter, and the note body is the snippet text
+ */
+class FolderSnippetStore {
+    /**
+     * @param {InsertivePlugin} plugin - The main plugin instance
+     */
+    constructor(plugin) {
+        this.plugin = plugin;
+        
+        // Snippets loaded from the folder, keyed by snippet key
+        this.snippets = {};
+        
+        this.scheduleReload = IconRenderer.debounce(
+            () => this.reload(),
+            CONSTANTS.FOLDER_RELOAD_DEBOUNCE
+        );
+    }
+
+    /**
+     * Get the configured snippet folder path, or an empty string if disabled
+     * @returns {string} Normalized folder path
+     */
+    getFolderPath() {
+        const folder = (this.plugin.settings.snippetFolder || '').trim();
+        return folder ? normalizePath(folder) : '';
+    }
+
+    /**
+     * Check whether a vault path is a Markdown file inside the snippet folder
+     * @param {string} path - The vault path to check
+     * @returns {boolean} True if the path belongs to the snippet folder
+     */
+    isSnippetPath(path) {
+        const folder = this.getFolderPath();
+        return !!folder && path.endsWith('.md') && path.startsWith(folder + '/');
+    }
+
+    /**
+     * Watch vault events so folder snippets stay in sync without a reload
+     * Events are registered once the layout is ready to skip the initial vault indexing
+     */
+    registerEvents() {
+        const { vault } = this.plugin.app;
+        const onChange = (file) => {
+            if (this.isSnippetPath(file.path)) this.scheduleReload();
+        };
+
+        this.plugin.registerEvent(vault.on('create', onChange));
+        this.plugin.registerEvent(vault.on('modify', onChange));
+        this.plugin.registerEvent(vault.on('delete', onChange));
+        this.plugin.registerEvent(vault.on('rename', (file, oldPath) => {
+            if (this.isSnippetPath(file.path) || this.isSnippetPath(oldPath)) {
+                this.scheduleReload();
+            }
+        }));
+    }
+
+    /**
+     * Reload folder snippets and refresh the snippet commands
+     */
+    async reload() {
+        if (!this.plugin) return;
+        await this.load();
+        this.plugin.commandManager.registerSnippetCommands();
+        this.plugin.updatePinnedStatusBar();
+    }
+
+    /**
+     * Read every Markdown file in the snippet folder into the store
+     */
+    async load() {
+        const snippets = {};
+        const files = this.plugin.app.vault.getMarkdownFiles()
+            .filter(file => this.isSnippetPath(file.path))
+            .sort((a, b) => a.path.localeCompare(b.path));
+
+        for (const file of files) {
+            try {
+                const snippet = this.parseSnippetFile(file, await this.plugin.app.vault.cachedRead(file));
+                if (!snippet) continue;
+
+                if (snippets[snippet.key]) {
+                    console.warn(`Insertive: Duplicate snippet key "${snippet.key}" in ${file.path}, skipping`);
+                    continue;
+                }
+                snippets[snippet.key] = snippet;
+            } catch (error) {
+                console.warn('Insertive: Failed to read snippet file:', file.path, error);
+            }
+        }
+
+        this.snippets = snippets;
+    }
+
+    /**
+     * Parse a snippet file's frontmatter and body
+     * @param {TFile} file - The snippet file
+     * @param {string} content - The file content
+     * @returns {{id: string, key: string, body: string, icon: string, group: string, trigger: string, path: string}|null} The snippet, or null if invalid
+     */
+    parseSnippetFile(file, content) {
+        const info = getFrontMatterInfo(content);
+        const frontmatter = (info.exists && parseYaml(info.frontmatter)) || {};
+        const key = String(frontmatter.key || file.basename);
+
+        const validation = SnippetValidator.validateKey(key);
+        if (!validation.isValid) {
+            console.warn(`Insertive: Invalid snippet key "${key}" in ${file.path}: ${validation.message}`);
+            return null;
+        }
+
+        return {
+            id: `file:${file.path}`,
+            key,
+            body: content.slice(info.contentStart).replace(/\n$/, ''),
+            icon: frontmatter.icon || CONSTANTS.DEFAULT_ICON,
+            group: SnippetGroups.normalize(frontmatter.group ? String(frontmatter.group) : ''),
+            trigger: frontmatter.trigger ? String(frontmatter.trigger) : '',
+            ...SnippetRecord.pickOptionalFields(frontmatter),
+            path: file.path
+        };
+    }
+
+    /**
+     * Clean up resources
+     */
+    destroy() {
+        this.snippets = null;
+        this.plugin = null;
+    }
+}
+
+/**
+ * Tab stop manager for moving between a snippet's tab stops after insertion
+ * Tracks the active stops in a CodeMirror state field, mapped through edits, until the
+ * cursor leaves the snippet region or the last stop is reached
+ */
+class TabStopManager {
+    /**
+     * @param {InsertivePlugin} plugin - The main plugin instance
+     */
+    constructor(plugin) {
+        this.plugin = plugin;
+
+        this.setSessionEffect = StateEffect.define();
+        this.clearSessionEffect = StateEffect.define();
+        this.sessionField = this.createSessionField();
+    }
+
+    /**
+     * Create the state field holding the active tab stop session
+     * @returns {StateField} Field whose value is {stops, index, regionFrom, regionTo} or null
+     */
+    createSessionField() {
+        return StateField.define({
+            create: () => null,
+            update: (session, tr) => {
+                for (const effect of tr.effects) {
+                    if (effect.is(this.setSessionEffect)) return effect.value;
+                    if (effect.is(this.clearSessionEffect)) return null;
+                }
+                if (!session) return session;
+
+                if (tr.docChanged) {
+                    session = {
+                        ...session,
+                        stops: session.stops.map(stop => ({
+                            from: tr.changes.mapPos(stop.from, -1),
+                            to: tr.changes.mapPos(stop.to, 1)
+                        })),
+                        regionFrom: tr.changes.mapPos(session.regionFrom, -1),
+                        regionTo: tr.changes.mapPos(session.regionTo, 1)
+                    };
+                }
+
+                // End the session once the cursor leaves the snippet region
+                const head = tr.state.selection.main.head;
+                if (head < session.regionFrom || head > session.regionTo) return null;
+
+                return session;
+            },
+            provide: (field) => EditorView.decorations.from(field, (session) => {
+                if (!session) return Decoration.none;
+                const mark = Decoration.mark({ class: 'insertive-tab-stop' });
+                const ranges = session.stops
+                    .filter(stop => stop.to > stop.from)
+                    .map(stop => mark.range(stop.from, stop.to))
+                    .sort((a, b) => a.from - b.from);
+                return Decoration.set(ranges);
+            })
+        });
+    }
+
+    /**
+     * Get the editor extensions for tab stop tracking and Tab/Shift-Tab navigation
+     * @returns {Extension[]} CodeMirror extensions
+     */
+    getExtensions() {
+        return [
+            this.sessionField,
+            Prec.highest(keymap.of([
+                { key: 'Tab', run: (view) => this.moveToStop(view, 1) },
+                { key: 'Shift-Tab', run: (view) => this.moveToStop(view, -1) },
+                { key: 'Escape', run: (view) => this.endSession(view) }
+            ])),
+            EditorView.baseTheme({
+                '.insertive-tab-stop': {
+                    outline: '1px dashed var(--text-faint)',
+                    borderRadius: '2px'
+                }
+            })
+        ];
+    }
+
+    /**
+     * Start a tab stop session for freshly inserted snippet text
+     * @param {Editor} editor - The Obsidian editor
+     * @param {number} offset - Document offset where the snippet text starts
+     * @param {number} length - Length of the inserted text
+     * @param {{index: number, from: number, to: number}[]} stops - Ordered stops relative to the snippet text
+     */
+    start(editor, offset, length, stops) {
+        const first = stops[0];
+        const view = editor.cm;
+
+        // Without CodeMirror access, just place the cursor on the first stop
+        if (!view) {
+            editor.setSelection(editor.offsetToPos(offset + first.from), editor.offsetToPos(offset + first.to));
+            return;
+        }
+
+        const session = {
+            stops: stops.map(stop => ({ from: offset + stop.from, to: offset + stop.to, isFinal: stop.index === 0 })),
+            index: 0,
+            regionFrom: offset,
+            regionTo: offset + length
+        };
+
+        // Landing straight on the final $0 stop needs no session
+        const effects = first.index === 0
+            ? this.clearSessionEffect.of(null)
+            : this.setSessionEffect.of(session);
+
+        view.dispatch({
+            selection: EditorSelection.single(session.stops[0].from, session.stops[0].to),
+            effects
+        });
+    }
+
+    /**
+     * Move the selection to the next or previous tab stop
+     * @param {EditorView} view - The CodeMirror view
+     * @param {number} direction - 1 for next, -1 for previous
+     * @returns {boolean} True if the key was handled
+     */
+    moveToStop(view, direction) {
+        const session = view.state.field(this.sessionField, false);
+        if (!session) return false;
+
+        const index = session.index + direction;
+        if (index < 0) return true;
+
+        // Past the last stop: leave the session at the end of the snippet
+        if (index >= session.stops.length) {
+            view.dispatch({
+                selection: EditorSelection.cursor(session.regionTo),
+                effects: this.clearSessionEffect.of(null)
+            });
+            return true;
+        }
+
+        const stop = session.stops[index];
+        view.dispatch({
+            selection: EditorSelection.single(stop.from, stop.to),
+            // Reaching the final $0 stop ends the session
+            effects: stop.isFinal
+                ? this.clearSessionEffect.of(null)
+                : this.setSessionEffect.of({ ...session, index })
+        });
+        return true;
+    }
+
+    /**
+     * End the active tab stop session, if any
+     * @param {EditorView} view - The CodeMirror view
+     * @returns {boolean} Always false so Escape keeps its default behaviour
+     */
+    endSession(view) {
+        if (view.state.field(this.sessionField, false)) {
+            view.dispatch({ effects: this.clearSessionEffect.of(null) });
+        }
+        return false;
+    }
+
+    /**
+     * Clean up resources
+     */
+    destroy() {
+        this.plugin = null;
+    }
+}
+
+/**
+ * Trigger manager for text-expander style abbreviations
+ * Typing the trigger prefix followed by a snippet's trigger (e.g. ";callout") replaces the
+ * abbreviation with the snippet, either straight away or when the expand key is pressed
+ */
+class TriggerManager {
+    /**
+     * @param {InsertivePlugin} plugin - The main plugin instance
+     */
+    constructor(plugin) {
+        this.plugin = plugin;
+    }
+
+    /**
+     * Get the editor extensions that detect and expand abbreviations
+     * @returns {Extension[]} CodeMirror extensions
+     */
+    getExtensions() {
+        return [
+            EditorView.inputHandler.of((view, from, to, text) => this.handleInput(view, from, to, text)),
+            Prec.highest(keymap.of([
+                { key: 'Tab', run: (view) => this.handleExpandKey(view, 'Tab') },
+                { key: 'Space', run: (view) => this.handleExpandKey(view, 'Space') }
+            ]))
+        ];
+    }
+
+    /**
+     * Find the snippet whose abbreviation ends the given text
+     * The abbreviation must start the line or follow whitespace; the longest match wins
+     * @param {string} textBefore - Line text before the cursor
+     * @param {Function} [isAllowed] - Returns whether a snippet key may expand here (its scope)
+     * @returns {{key: string, length: number}|null} Matching snippet key and abbreviation length
+     */
+    findAbbreviation(textBefore, isAllowed = () => true) {
+        const prefix = this.plugin.settings.triggerPrefix || '';
+        let best = null;
+
+        this.plugin.getSnippetKeys().forEach(key => {
+            const trigger = this.plugin.getSnippet(key).trigger;
+            if (!trigger) return;
+
+            const abbreviation = prefix + trigger;
+            if (!textBefore.endsWith(abbreviation)) return;
+
+            const charBefore = textBefore.charAt(textBefore.length - abbreviation.length - 1);
+            if (charBefore && !/\s/.test(charBefore)) return;
+            if (!isAllowed(key)) return;
+
+            if (!best || abbreviation.length > best.length) {
+                best = { key, length: abbreviation.length };
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Expand an abbreviation as soon as its last character is typed
+     * @param {EditorView} view - The CodeMirror view
+     * @param {number} from - Start of the replaced range
+     * @param {number} to - End of the replaced range
+     * @param {string} text - The typed text
+     * @returns {boolean} True if the input was handled
+     */
+    handleInput(view, from, to, text) {
+        if (this.plugin.settings.triggerExpandKey !== 'immediate') return false;
+        if (!view.state.selection.main.empty) return false;
+
+        const line = view.state.doc.lineAt(from);
+        const textBefore = line.text.slice(0, from - line.from) + text;
+        const match = this.findAbbreviation(textBefore, (key) => this.isInScope(view, key));
+        if (!match) return false;
+
+        // Apply the typed text first so the abbreviation is complete in the document
+        view.dispatch({
+            changes: { from, to, insert: text },
+            selection: EditorSelection.cursor(from + text.length),
+            userEvent: 'input.type'
+        });
+        this.expand(view, match, from + text.length);
+        return true;
+    }
+
+    /**
+     * Expand the abbreviation before the cursor when the expand key is pressed
+     * @param {EditorView} view - The CodeMirror view
+     * @param {string} key - The pressed key ("Tab" or "Space")
+     * @returns {boolean} True if an abbreviation was expanded
+     */
+    handleExpandKey(view, key) {
+        if (this.plugin.settings.triggerExpandKey !== key) return false;
+
+        const selection = view.state.selection.main;
+        if (!selection.empty) return false;
+
+        const line = view.state.doc.lineAt(selection.head);
+        const match = this.findAbbreviation(line.text.slice(0, selection.head - line.from), (key) => this.isInScope(view, key));
+        if (!match) return false;
+
+        this.expand(view, match, selection.head);
+        return true;
+    }
+
+    /**
+     * Check a snippet's scope against the view's note and cursor position
+     * @param {EditorView} view - The CodeMirror view
+     * @param {string} key - The snippet key
+     * @returns {boolean} True if the snippet may expand here
+     */
+    isInScope(view, key) {
+        const info = view.state.field(editorInfoField, false);
+        if (!info?.editor) return true;
+        return this.plugin.isSnippetInScope(key, info.editor, info.file);
+    }
+
+    /**
+     * Replace an abbreviation ending at the given offset with its snippet
+     * @param {EditorView} view - The CodeMirror view
+     * @param {{key: string, length: number}} match - The matched abbreviation
+     * @param {number} end - Document offset where the abbreviation ends
+     */
+    expand(view, match, end) {
+        const editor = view.state.field(editorInfoField, false)?.editor;
+        if (!editor) return;
+
+        this.plugin.insertSnippet(editor, match.key, {
+            from: editor.offsetToPos(end - match.length),
+            to: editor.offsetToPos(end)
+        });
+    }
+
+    /**
+     * Clean up resources
+     */
+    destroy() {
+        this.plugin = null;
+    }
+}
+
+/**
+ * Snippet text editor: a CodeMirror field that highlights template syntax and underlines
+ * malformed parts, with a sample selection input and a rendered Markdown preview of the result
+ */
+class SnippetEditor {
+    /**
+     * Regexes highlighted in the editor, with their CSS class
+     */
+    static TOKENS = [
+        [/\$(?:\d+|\{\d+(?::[^}]*)?\})/g, 'insertive-token-tabstop'],
+        [SnippetProcessor.PLACEHOLDER_REGEX, 'insertive-token-placeholder'],
+        [SnippetProcessor.BLOCK_TAG_REGEX, 'insertive-token-block'],
+        [SnippetProcessor.INCLUDE_REGEX, 'insertive-token-include']
+    ];
+
+    /**
+     * @param {HTMLElement} containerEl - The container to render into
+     * @param {InsertivePlugin} plugin - Plugin instance
+     * @param {{value: string, onChange: Function, getSnippet: Function}} options - Initial text, change
+     *     callback, and a function returning the snippet's other fields (key, selection options) for the preview
+     */
+    constructor(containerEl, plugin, options) {
+        this.plugin = plugin;
+        this.options = options;
+        this.sampleText = '';
+        this.renderId = 0;
+        // Owns the current preview render; replaced on every render so old children are unloaded
+        this.previewComponent = null;
+
+        this.schedulePreview = IconRenderer.debounce(() => this.renderPreview(), CONSTANTS.EDITOR_PREVIEW_DEBOUNCE);
+        this.render(containerEl);
+    }
+
+    /**
+     * Build the editor, warning list, sample input and preview
+     * @param {HTMLElement} containerEl - The container to render into
+     */
+    render(containerEl) {
+        const wrapper = containerEl.createDiv();
+        wrapper.style.cssText = 'display: flex; gap: 12px; flex-wrap: wrap; margin-bottom: 12px;';
+
+        const editorColumn = wrapper.createDiv();
+        editorColumn.style.cssText = 'flex: 1 1 320px; min-width: 0; display: flex; flex-direction: column; gap: 6px;';
+
+        const editorEl = editorColumn.createDiv();
+        editorEl.style.cssText = `
+            border: 1px solid var(--background-modifier-border);
+            border-radius: 4px;
+            background: var(--background-primary);
+            font-family: var(--font-monospace);
+            font-size: var(--font-ui-small);
+            max-height: 320px;
+            overflow: auto;
+        `;
+        this.view = new EditorView({
+            state: EditorState.create({
+                doc: this.options.value,
+                extensions: this.getExtensions()
+            }),
+            parent: editorEl
+        });
+
+        this.warningsEl = editorColumn.createDiv();
+
+        const sampleEl = editorColumn.createEl('textarea', {
+            attr: { rows: 3, placeholder: 'Sample selected text for the preview' }
+        });
+        sampleEl.style.cssText = 'width: 100%; font-family: var(--font-monospace); resize: vertical;';
+        sampleEl.addEventListener('input', () => {
+            this.sampleText = sampleEl.value;
+            this.schedulePreview();
+        });
+
+        const previewColumn = wrapper.createDiv();
+        previewColumn.style.cssText = 'flex: 1 1 320px; min-width: 0;';
+        previewColumn.createEl('small', { text: 'Preview', cls: 'mod-muted' });
+        this.previewEl = previewColumn.createDiv('markdown-rendered');
+        this.previewEl.style.cssText = `
+            padding: 4px 12px;
+            border: 1px solid var(--background-modifier-border);
+            border-radius: 4px;
+            background: var(--background-secondary);
+            max-height: 400px;
+            overflow: auto;
+        `;
+
+        this.renderWarnings();
+        this.renderPreview();
+    }
+
+    /**
+     * Get the CodeMirror extensions: editing keymaps, history, highlighting and theme
+     * @returns {Extension[]} Editor extensions
+     */
+    getExtensions() {
+        const decorations = StateField.define({
+            create: (state) => this.buildDecorations(state.doc.toString()),
+            update: (value, tr) => tr.docChanged ? this.buildDecorations(tr.state.doc.toString()) : value,
+            provide: (field) => EditorView.decorations.from(field)
+        });
+
+        return [
+            history(),
+            keymap.of([...defaultKeymap, ...historyKeymap, indentWithTab]),
+            EditorView.lineWrapping,
+            decorations,
+            EditorView.updateListener.of((update) => {
+                if (!update.docChanged) return;
+                this.options.onChange(update.state.doc.toString());
+                this.renderWarnings();
+                this.schedulePreview();
+            }),
+            EditorView.baseTheme({
+                '&': { minHeight: '120px' },
+                '&.cm-focused': { outline: 'none' },
+                '.cm-content': { padding: '6px 8px', caretColor: 'var(--text-normal)' },
+                '.insertive-token-placeholder': { color: 'var(--text-accent)' },
+                '.insertive-token-block': { color: 'var(--color-purple)', fontWeight: 'bold' },
+                '.insertive-token-include': { color: 'var(--color-green)' },
+                '.insertive-token-tabstop': { color: 'var(--color-orange)' },
+                '.insertive-lint-warning': { textDecoration: 'underline wavy var(--text-error)' }
+            })
+        ];
+    }
+
+    /**
+     * Build highlight and warning decorations for the snippet text
+     * @param {string} text - The snippet text
+     * @returns {DecorationSet} The decorations
+     */
+    buildDecorations(text) {
+        const ranges = [];
+
+        SnippetEditor.TOKENS.forEach(([regex, className]) => {
+            for (const match of text.matchAll(regex)) {
+                if (match[0].length === 0) continue;
+                ranges.push(Decoration.mark({ class: className }).range(match.index, match.index + match[0].length));
+            }
+        });
+
+        this.getWarnings(text).forEach(warning => {
+            ranges.push(Decoration.mark({
+                class: 'insertive-lint-warning',
+                attributes: { title: warning.message }
+            }).range(warning.from, Math.max(warning.to, warning.from + 1)));
+        });
+
+        return Decoration.set(ranges.filter(range => range.to <= text.length), true);
+    }
+
+    /**
+     * Lint the snippet text
+     * @param {string} text - The snippet text
+     * @returns {{from: number, to: number, message: string}[]} Warnings
+     */
+    getWarnings(text) {
+        const key = this.options.getSnippet().key;
+        return SnippetValidator.lintTemplate(text, (include) => include === key ? text : this.plugin.getSnippet(include)?.body);
+    }
+
+    /**
+     * List the current warnings below the editor
+     */
+    renderWarnings() {
+        this.warningsEl.empty();
+        this.getWarnings(this.getValue()).forEach(warning => {
+            this.warningsEl.createDiv({ text: `⚠ ${warning.message}`, cls: 'mod-warning' });
+        });
+    }
+
+    /**
+     * Render the processed snippet as Markdown
+     * Built-in variables are resolved against the active note; named placeholders take their
+     * defaults unless filled from the sample selection
+     */
+    async renderPreview() {
+        const renderId = ++this.renderId;
+        const snippet = { ...this.options.getSnippet(), body: this.getValue() };
+
+        let text;
+        try {
+            const expanded = this.plugin.expandSnippet(snippet);
+            const values = {
+                ...await this.plugin.resolveVariables(expanded.body),
+                ...SnippetProcessor.namedValuesFromSelection(expanded.body, this.sampleText, expanded)
+            };
+            text = SnippetProcessor.renderSnippet(expanded.body, this.sampleText, values, expanded).text;
+        } catch (error) {
+            text = `> [!warning]\n> ${error.message}`;
+        }
+
+        // A newer render started while this one was resolving variables
+        if (renderId !== this.renderId || !this.previewEl) return;
+
+        this.previewComponent?.unload();
+        this.previewComponent = new Component();
+        this.previewComponent.load();
+        this.previewEl.empty();
+        await MarkdownRenderer.render(this.plugin.app, text, this.previewEl, '', this.previewComponent);
+    }
+
+    /**
+     * Refresh the preview, e.g. after the snippet's selection options changed
+     */
+    refreshPreview() {
+        this.schedulePreview();
+    }
+
+    /**
+     * Get the current snippet text
+     * @returns {string} The editor content
+     */
+    getValue() {
+        return this.view.state.doc.toString();
+    }
+
+    /**
+     * Clean up resources
+     */
+    destroy() {
+        this.view?.destroy();
+        this.previewComponent?.unload();
+        this.view = null;
+        this.previewComponent = null;
+        this.previewEl = null;
+        this.plugin = null;
+    }
+}
+
+/**
+ * Fuzzy-search modal for picking a snippet to insert
+ * Matches against key, group and snippet text, and previews the processed output
+ */
+class SnippetPickerModal extends FuzzySuggestModal {
+    /**
+     * @param {object} app - Obsidian app instance
+     * @param {InsertivePlugin} plugin - Plugin instance
+     * @param {Editor} editor - The editor to insert into
+     */
+    constructor(app, plugin, editor) {
+        super(app);
+        this.plugin = plugin;
+        this.editor = editor;
+        
+        // Capture the selection and the snippets in scope now, before the modal takes focus
+        this.selectedText = editor.getSelection();
+        this.snippetKeys = plugin.getSnippetKeysInScope(editor);
+        
+        // Built-in variable values for previews, resolved when the modal opens
+        this.variableValues = {};
+
+        this.setPlaceholder('Search snippets by key, group or text...');
+        this.setInstructions([
+            { command: '↑↓', purpose: 'to navigate' },
+            { command: '↵', purpose: 'to insert' },
+            { command: 'esc', purpose: 'to dismiss' }
+        ]);
+    }
+
+    onOpen() {
+        super.onOpen();
+
+        const allText = this.getItems().map(key => this.plugin.getSnippet(key).body).join('\n');
+        this.plugin.resolveVariables(allText).then(values => {
+            this.variableValues = values;
+            // Re-render suggestions with the resolved values
+            this.inputEl.dispatchEvent(new Event('input'));
+        });
+    }
+
+    getItems() {
+        return this.snippetKeys;
+    }
+
+    getItemText(key) {
+        const { group, body } = this.plugin.getSnippet(key);
+        return `${key} ${group} ${body}`;
+    }
+
+    /**
+     * Render a suggestion with icon, group and a preview of the processed snippet
+     * @param {{item: string}} match - The fuzzy match wrapping the snippet key
+     * @param {HTMLElement} el - The suggestion element
+     */
+    renderSuggestion(match, el) {
+        const key = match.item;
+        const snippet = this.plugin.getSnippet(key);
+        const { icon, group, body } = snippet;
+
+        const titleEl = el.createDiv();
+        titleEl.style.cssText = 'display: flex; align-items: center; gap: 6px;';
+        IconRenderer.renderIcon(titleEl.createSpan(), icon);
+        titleEl.createSpan({ text: key });
+        if (group) {
+            titleEl.createEl('small', { text: group, cls: 'mod-muted' });
+        }
+
+        let expandedBody = body;
+        try {
+            expandedBody = this.plugin.expandSnippet(snippet).body;
+        } catch (error) {
+            // Include cycles are reported on insert; preview the raw text
+        }
+
+        const values = {
+            ...this.variableValues,
+            ...SnippetProcessor.namedValuesFromSelection(expandedBody, this.selectedText, snippet)
+        };
+        const preview = SnippetProcessor.renderSnippet(expandedBody, this.selectedText, values, snippet).text;
+        const previewLines = preview.split('\n');
+        const truncatedPreview = previewLines.length > CONSTANTS.PICKER_PREVIEW_LINES
+            ? previewLines.slice(0, CONSTANTS.PICKER_PREVIEW_LINES).join('\n') + '\n...'
+            : preview;
+
+        const previewEl = el.createDiv({ text: truncatedPreview });
+        previewEl.style.cssText = `
+            margin-top: 4px;
+            padding: 4px 8px;
+            white-space: pre-wrap;
+            font-family: var(--font-monospace);
+            font-size: var(--font-smallest);
+            color: var(--text-muted);
+            border-left: 2px solid var(--background-modifier-border);
+        `;
+    }
+
+    onChooseItem(key) {
+        this.plugin.insertSnippet(this.editor, key);
+    }
+}
+
+/**
+ * Form modal for filling in a snippet's named placeholders before insertion
+ * Shows a text input per placeholder, or a dropdown when it has an option list
+ */
+class PlaceholderPromptModal extends Modal {
+    /**
+     * @param {object} app - Obsidian app instance
+     * @param {string} snippetKey - The key of the snippet being inserted
+     * @param {{name: string, defaultValue: string, options: string[]}[]} placeholders - Placeholders to prompt for
+     * @param {Function} onSubmit - Callback receiving the values keyed by placeholder name
+     */
+    constructor(app, snippetKey, placeholders, onSubmit) {
+        super(app);
+        this.snippetKey = snippetKey;
+        this.placeholders = placeholders;
+        this.onSubmit = onSubmit;
+        
+        // Start from the defaults so untouched fields still get a value
+        this.values = {};
+        placeholders.forEach(placeholder => {
+            this.values[placeholder.name] = placeholder.defaultValue;
+        });
+    }
+
+    onOpen() {
+        const { contentEl } = this;
+        contentEl.createEl('h2', { text: `Insert: ${this.snippetKey}` });
+
+        this.placeholders.forEach((placeholder, index) => {
+            const setting = new Setting(contentEl).setName(placeholder.name);
+
+            if (placeholder.options.length > 0) {
+                setting.addDropdown(dropdown => {
+                    placeholder.options.forEach(option => dropdown.addOption(option, option));
+                    dropdown.setValue(this.values[placeholder.name])
+                        .onChange((value) => {
+                            this.values[placeholder.name] = value;
+                        });
+                });
+                return;
+            }
+
+            setting.addText(text => {
+                text.setValue(this.values[placeholder.name])
+                    .onChange((value) => {
+                        this.values[placeholder.name] = value;
+                    });
+                if (index === 0) {
+                    setTimeout(() => text.inputEl.focus(), 0);
+                }
+            });
+        });
+
+        // Submit with Enter from any field
+        contentEl.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.isComposing) {
+                e.preventDefault();
+                this.submit();
+            }
+        });
+
+        new Setting(contentEl)
+            .addButton(button => button
+                .setButtonText('Insert')
+                .setCta()
+                .onClick(() => this.submit()))
+            .addButton(button => button
+                .setButtonText('Cancel')
+                .onClick(() => this.close()));
+    }
+
+    /**
+     * Close the modal and hand the collected values to the callback
+     */
+    submit() {
+        this.close();
+        if (this.onSubmit) this.onSubmit({ ...this.values });
+    }
+
+    onClose() {
+        this.contentEl.empty();
+    }
+}
+
+/**
+ * Inline autocomplete for snippets
+ * Typing the suggestion trigger (e.g. ";;") pops up matching snippets at the cursor
+ */
+class SnippetSuggest extends EditorSuggest {
+    /**
+     * @param {object} app - Obsidian app instance
+     * @param {InsertivePlugin} plugin - Plugin instance
+     */
+    constructor(app, plugin) {
+        super(app);
+        this.plugin = plugin;
+    }
+
+    /**
+     * Open suggestions when the text before the cursor is the trigger followed by a snippet key fragment
+     * @param {EditorPosition} cursor - The cursor position
+     * @param {Editor} editor - The editor
+     * @returns {{start: EditorPosition, end: EditorPosition, query: string}|null} Trigger info, or null
+     */
+    onTrigger(cursor, editor) {
+        const { suggestEnabled, suggestTrigger } = this.plugin.settings;
+        if (!suggestEnabled || !suggestTrigger) return null;
+
+        const textBefore = editor.getLine(cursor.line).slice(0, cursor.ch);
+        const triggerIndex = textBefore.lastIndexOf(suggestTrigger);
+        if (triggerIndex === -1) return null;
+
+        const query = textBefore.slice(triggerIndex + suggestTrigger.length);
+        if (!/^[a-zA-Z0-9_-]*$/.test(query)) return null;
+
+        return {
+            start: { line: cursor.line, ch: triggerIndex },
+            end: cursor,
+            query
+        };
+    }
+
+    /**
+     * Get snippet keys matching the typed query, best matches first
+     * @param {{query: string, editor: Editor, file: TFile}} context - The suggestion context
+     * @returns {string[]} Matching snippet keys
+     */
+    getSuggestions(context) {
+        const keys = this.plugin.getSnippetKeysInScope(context.editor, context.file);
+        if (!context.query) return keys;
+
+        const search = prepareFuzzySearch(context.query);
+        return keys
+            .map(key => ({ key, match: search(key) }))
+            .filter(result => result.match)
+            .sort((a, b) => b.match.score - a.match.score)
+            .map(result => result.key);
+    }
+
+    /**
+     * Render a suggestion with icon, key and the first line of the snippet
+     * @param {string} key - The snippet key
+     * @param {HTMLElement} el - The suggestion element
+     */
+    renderSuggestion(key, el) {
+        const { icon, group, body } = this.plugin.getSnippet(key);
+
+        const titleEl = el.createDiv();
+        titleEl.style.cssText = 'display: flex; align-items: center; gap: 6px;';
+        IconRenderer.renderIcon(titleEl.createSpan(), icon);
+        titleEl.createSpan({ text: key });
+        if (group) {
+            titleEl.createEl('small', { text: group, cls: 'mod-muted' });
+        }
+
+        const firstLine = body.split('\n').find(line => line.trim().length > 0) || '';
+        const previewEl = el.createDiv({ text: firstLine });
+        previewEl.style.cssText = `
+            font-family: var(--font-monospace);
+            font-size: var(--font-smallest);
+            color: var(--text-muted);
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+        `;
+    }
+
+    /**
+     * Replace the trigger and query with the chosen snippet
+     * @param {string} key - The chosen snippet key
+     */
+    selectSuggestion(key) {
+        const { editor, start, end } = this.context;
+        this.close();
+        this.plugin.insertSnippet(editor, key, { from: start, to: end });
+    }
+}
+
+/**
+ * Confirmation modal for overwriting snippets
+ */
+class ConfirmModal extends Modal {
+    /**
+     * @param {object} app - Obsidian app instance
+     * @param {string} message - The confirmation message
+     * @param {Function} onConfirm - Callback when confirmed
+     * @param {string} [confirmText='Replace'] - Label of the confirm button
+     */
+    constructor(app, message, onConfirm, confirmText = 'Replace') {
+        super(app);
+        this.message = message;
+        this.onConfirm = onConfirm;
+        this.confirmText = confirmText;
+    }
+
+    onOpen() {
+        const { contentEl } = this;
+        contentEl.createEl('p', { text: this.message });
+
+        const buttonContainer = contentEl.createDiv('modal-button-container');
+        buttonContainer.style.cssText = 'display: flex; justify-content: flex-end; gap: 8px; margin-top: 16px;';
+        
+        buttonContainer.createEl('button', {
+            text: 'Cancel',
+            cls: 'mod-cancel'
+        }).addEventListener('click', () => this.close());
+
+        buttonContainer.createEl('button', {
+            text: this.confirmText,
+            cls: 'mod-cta'
+        }).addEventListener('click', async () => {
+            this.close();
+            if (this.onConfirm) await this.onConfirm();
+        });
+    }
+
+    onClose() {
+        this.contentEl.empty();
+    }
+}
+
+/**
+ * Preview modal for importing a snippet library
+ * Lists every parsed snippet and lets the user skip, replace or rename each conflicting key
+ */
+class ImportPreviewModal extends Modal {
+    /**
+     * @param {object} app - Obsidian app instance
+     * @param {InsertivePlugin} plugin - Plugin instance
+     * @param {object[]} entries - Entries parsed by SnippetLibrary.parse
+     * @param {Function} onImport - Callback receiving the entries to import, each with its final key and action
+     */
+    constructor(app, plugin, entries, onImport) {
+        super(app);
+        this.plugin = plugin;
+        this.onImport = onImport;
+        
+        // Conflicting keys default to skip, everything else is added
+        this.rows = entries.map(entry => {
+            const exists = !!this.plugin.findSnippetRecord(entry.key);
+            return {
+                entry,
+                action: exists ? 'skip' : 'add',
+                newKey: exists ? this.suggestKey(entry.key) : entry.key
+            };
+        });
+    }
+
+    /**
+     * Suggest an unused key by appending a number
+     * @param {string} key - The conflicting key
+     * @returns {string} An unused key
+     */
+    suggestKey(key) {
+        let n = 2;
+        while (this.plugin.findSnippetRecord(`${key}-${n}`)) n++;
+        return `${key}-${n}`;
+    }
+
+    onOpen() {
+        const { contentEl } = this;
+        contentEl.createEl('h2', { text: 'Import Snippets' });
+        contentEl.createEl('p', { text: `${this.rows.length} snippet(s) found. Choose what to do with keys that already exist.` });
+
+        const listEl = contentEl.createDiv();
+        listEl.style.cssText = 'max-height: 50vh; overflow-y: auto;';
+        this.rows.forEach(row => this.renderRow(listEl, row));
+
+        const buttonContainer = contentEl.createDiv('modal-button-container');
+        buttonContainer.style.cssText = 'display: flex; justify-content: flex-end; gap: 8px; margin-top: 16px;';
+        
+        buttonContainer.createEl('button', {
+            text: 'Cancel',
+            cls: 'mod-cancel'
+        }).addEventListener('click', () => this.close());
+
+        buttonContainer.createEl('button', {
+            text: 'Import',
+            cls: 'mod-cta'
+        }).addEventListener('click', async () => {
+            this.close();
+            if (this.onImport) await this.onImport(this.rows);
+        });
+    }
+
+    /**
+     * Render one entry with its conflict choice
+     * @param {HTMLElement} containerEl - The container element
+     * @param {{entry: object, action: string, newKey: string}} row - The import row
+     */
+    renderRow(containerEl, row) {
+        const { entry } = row;
+        const truncatedBody = entry.body.length > 100 ? entry.body.substring(0, 100) + '...' : entry.body;
+
+        const setting = new Setting(containerEl)
+            .setName(entry.key || '(no key)')
+            .setDesc(truncatedBody);
+        setting.descEl.createEl('br');
+        setting.descEl.createEl('small', { text: entry.source, cls: 'mod-muted' });
+
+        if (row.action === 'add') {
+            const validation = SnippetValidator.validateKey(entry.key);
+            if (validation.isValid) return;
+
+            // Invalid keys can only be imported under a new name
+            row.action = 'rename';
+            setting.descEl.createEl('br');
+            setting.descEl.createEl('small', { text: validation.message, cls: 'mod-warning' });
+            setting.addText(text => text
+                .setPlaceholder('New key')
+                .setValue(row.newKey)
+                .onChange((value) => {
+                    row.newKey = value.trim();
+                }));
+            return;
+        }
+
+        let renameInput = null;
+        setting.addDropdown(dropdown => {
+            Object.entries(CONSTANTS.IMPORT_ACTIONS).forEach(([value, label]) => {
+                dropdown.addOption(value, label);
+            });
+            dropdown.setValue(row.action)
+                .onChange((value) => {
+                    row.action = value;
+                    renameInput.inputEl.style.display = value === 'rename' ? '' : 'none';
+                });
+        });
+        setting.addText(text => {
+            renameInput = text;
+            text.setValue(row.newKey)
+                .onChange((value) => {
+                    row.newKey = value.trim();
+                });
+            text.inputEl.style.display = 'none';
+        });
+    }
+
+    onClose() {
+        this.contentEl.empty();
     }
 }
 
@@ -421,242 +3656,1132 @@ class ConfirmModal extends Modal {
  * Modal for editing existing snippets with live icon preview
  * Provides comprehensive editing interface for snippet configuration
  */
-class EditSnippetModal extends Modal {
+class EditSnippetModal extends Modal {
+    /**
+     * @param {object} app - Obsidian app instance
+     * @param {InsertivePlugin} plugin - Plugin instance
+     * @param {object} snippet - The snippet record being edited
+     * @param {InsertiveSettingTab} settingTab - Settings tab for refreshing display
+     */
+    constructor(app, plugin, snippet, settingTab) {
+        super(app);
+        this.plugin = plugin;
+        this.snippet = snippet;
+        this.originalKey = snippet.key;
+        this.settingTab = settingTab;
+        
+        // Editable values
+        this.key = snippet.key;
+        this.value = snippet.body;
+        this.icon = snippet.icon || CONSTANTS.DEFAULT_ICON;
+        this.group = snippet.group || '';
+        this.trigger = snippet.trigger || '';
+        this.selection = SnippetProcessor.getSelectionOptions(snippet);
+        this.scope = SnippetScope.normalize(snippet.scope);
+        
+        // Hotkey to bind on save: undefined keeps the current one, null removes it
+        this.hotkey = undefined;
+        
+        // UI elements for cleanup
+        this.iconPreviewEl = null;
+        this.updateIconPreview = null;
+        this.snippetEditor = null;
+    }
+
+    onOpen() {
+        const { contentEl } = this;
+        this.modalEl.style.width = 'min(1100px, 95vw)';
+        contentEl.createEl('h2', { text: 'Edit Snippet' });
+
+        this.createFormElements(contentEl);
+        this.createActionButtons(contentEl);
+    }
+
+    /**
+     * Create form input elements
+     * @param {HTMLElement} contentEl - Content element container
+     */
+    createFormElements(contentEl) {
+        // Key input
+        new Setting(contentEl)
+            .setName('Snippet Key')
+            .setDesc('The unique identifier for this snippet')
+            .addText(text => text
+                .setValue(this.key)
+                .onChange((value) => {
+                    this.key = value;
+                }));
+
+        // Value editor with template explanation and preview
+        new Setting(contentEl)
+            .setName('Snippet Text')
+            .setDesc('The text content of the snippet. Use {1}, {2}, etc. for parts of the selection, {selection} for all of it and {{name}} for named placeholders.');
+        this.snippetEditor = new SnippetEditor(contentEl, this.plugin, {
+            value: this.value,
+            onChange: (value) => {
+                this.value = value;
+            },
+            getSnippet: () => ({
+                key: this.key,
+                selectionMode: this.selection.mode,
+                selectionPattern: this.selection.pattern,
+                selectionDelimiter: this.selection.delimiter,
+                keepWhitespace: this.selection.keepWhitespace
+            })
+        });
+
+        // Group input
+        new Setting(contentEl)
+            .setName('Group')
+            .setDesc('Optional group for organizing snippets in the context menu. Use "/" for nested groups (leave empty for no group)')
+            .addText(text => text
+                .setPlaceholder('e.g., "Examples" or "Work/Meetings"')
+                .setValue(this.group)
+                .onChange((value) => {
+                    this.group = value;
+                }));
+
+        // Trigger input
+        new Setting(contentEl)
+            .setName('Trigger')
+            .setDesc(`Optional abbreviation that expands into this snippet when typed after the trigger prefix (e.g., "callout" for "${this.plugin.settings.triggerPrefix}callout")`)
+            .addText(text => text
+                .setPlaceholder('e.g., "callout"')
+                .setValue(this.trigger)
+                .onChange((value) => {
+                    this.trigger = value.trim();
+                }));
+
+        // Hotkey recorder
+        this.createHotkeyInput(contentEl);
+
+        // Selection options
+        this.createSelectionInputs(contentEl);
+
+        // Icon input with live preview
+        this.createIconInput(contentEl);
+
+        // Where the snippet is offered
+        this.createScopeInputs(contentEl);
+    }
+
+    /**
+     * Create inputs for the snippet's scope rules
+     * @param {HTMLElement} contentEl - Content element container
+     */
+    createScopeInputs(contentEl) {
+        contentEl.createEl('h3', { text: 'Scope' });
+        contentEl.createDiv('setting-item-description', (el) => {
+            el.setText('Only offer this snippet (in menus, commands, the picker, suggestions and triggers) where these rules match. Leave a field empty to ignore it; separate entries with commas.');
+        });
+
+        const fields = [
+            { field: 'folders', name: 'Folders', desc: 'Vault folders or globs, e.g. "Work/Meetings" or "Journal/**"', placeholder: 'Work/**, Projects' },
+            { field: 'tags', name: 'Tags', desc: 'Notes with any of these tags (nested tags included)', placeholder: '#meeting, #project' },
+            { field: 'frontmatter', name: 'Frontmatter', desc: 'Notes with any of these frontmatter fields, or "field=value" for a specific value', placeholder: 'type=meeting, project' },
+            { field: 'contexts', name: 'Cursor context', desc: `Only when the cursor is in one of: ${Object.keys(CONSTANTS.SCOPE_CONTEXTS).join(', ')}`, placeholder: 'codeblock, callout' }
+        ];
+
+        fields.forEach(({ field, name, desc, placeholder }) => {
+            new Setting(contentEl)
+                .setName(name)
+                .setDesc(desc)
+                .addText(text => text
+                    .setPlaceholder(placeholder)
+                    .setValue(this.scope[field].map(entry => field === 'tags' ? `#${entry}` : entry).join(', '))
+                    .onChange((value) => {
+                        this.scope[field] = value;
+                    }));
+        });
+    }
+
+    /**
+     * Create the hotkey recorder
+     * The recorded hotkey is bound when the snippet is saved, under its new key if it was renamed
+     * @param {HTMLElement} contentEl - Content element container
+     */
+    createHotkeyInput(contentEl) {
+        const { hotkeyManager } = this.plugin;
+        let hotkeyButton = null;
+        let clearButton = null;
+
+        const refresh = () => {
+            const hotkeys = this.hotkey === undefined
+                ? hotkeyManager.getHotkeys(this.originalKey)
+                : [this.hotkey].filter(Boolean);
+            hotkeyButton.setButtonText(hotkeys.length > 0 ? hotkeys.map(hotkey => hotkeyManager.format(hotkey)).join(', ') : 'Set hotkey');
+            clearButton.extraSettingsEl.toggle(hotkeys.length > 0);
+        };
+
+        new Setting(contentEl)
+            .setName('Hotkey')
+            .setDesc('Click to record a keyboard shortcut for this snippet\'s command (Escape cancels). It is saved with the snippet and kept if the key is renamed.')
+            .addButton(button => {
+                hotkeyButton = button;
+                button.onClick(() => hotkeyManager.promptHotkey(this.originalKey, button.buttonEl, (hotkey) => {
+                    this.hotkey = hotkey;
+                    refresh();
+                }));
+            })
+            .addExtraButton(button => {
+                clearButton = button;
+                button.setIcon('x')
+                    .setTooltip('Remove hotkey')
+                    .onClick(() => {
+                        this.hotkey = null;
+                        refresh();
+                    });
+            });
+
+        refresh();
+    }
+
+    /**
+     * Create inputs for how the selected text fills the template
+     * The pattern and delimiter inputs are only shown for the modes that use them
+     * @param {HTMLElement} contentEl - Content element container
+     */
+    createSelectionInputs(contentEl) {
+        let patternSetting = null;
+        let delimiterSetting = null;
+
+        const updateVisibility = () => {
+            patternSetting.settingEl.style.display = this.selection.mode === 'regex' ? '' : 'none';
+            delimiterSetting.settingEl.style.display = this.selection.mode === 'delimiter' ? '' : 'none';
+        };
+
+        new Setting(contentEl)
+            .setName('Selection mode')
+            .setDesc('How selected text fills {1}, {2}, ...: one line each, the whole selection, the whole snippet repeated for every line, one paragraph each, regex capture groups, or split on a delimiter')
+            .addDropdown(dropdown => {
+                Object.entries(CONSTANTS.SELECTION_MODES)
+                    .forEach(([mode, label]) => dropdown.addOption(mode, label));
+                dropdown.setValue(this.selection.mode)
+                    .onChange((value) => {
+                        this.selection.mode = value;
+                        updateVisibility();
+                        this.snippetEditor?.refreshPreview();
+                    });
+            });
+
+        new Setting(contentEl)
+            .setName('Keep whitespace')
+            .setDesc('Keep indentation, surrounding spaces and blank lines in the selection instead of trimming them')
+            .addToggle(toggle => toggle
+                .setValue(this.selection.keepWhitespace)
+                .onChange((value) => {
+                    this.selection.keepWhitespace = value;
+                    this.snippetEditor?.refreshPreview();
+                }));
+
+        patternSetting = new Setting(contentEl)
+            .setName('Selection pattern')
+            .setDesc('Regular expression applied to the selection; capture group 1 fills {1}, group 2 fills {2}, and so on')
+            .addText(text => text
+                .setPlaceholder('e.g., (\\w+)\\s+(.*)')
+                .setValue(this.selection.pattern)
+                .onChange((value) => {
+                    this.selection.pattern = value;
+                    this.snippetEditor?.refreshPreview();
+                }));
+
+        delimiterSetting = new Setting(contentEl)
+            .setName('Selection delimiter')
+            .setDesc('Character the selection is split on')
+            .addDropdown(dropdown => {
+                Object.entries(CONSTANTS.SELECTION_DELIMITERS)
+                    .forEach(([delimiter, label]) => dropdown.addOption(delimiter, label));
+                dropdown.setValue(this.selection.delimiter)
+                    .onChange((value) => {
+                        this.selection.delimiter = value;
+                        this.snippetEditor?.refreshPreview();
+                    });
+            });
+
+        updateVisibility();
+    }
+
+    /**
+     * Create icon input with live preview functionality
+     * @param {HTMLElement} contentEl - Content element container
+     */
+    createIconInput(contentEl) {
+        new Setting(contentEl)
+            .setName('Icon')
+            .setDesc('Lucide icon name for the context menu (e.g., "stamp", "file-text", "star", "heart")')
+            .addText(text => {
+                text.setPlaceholder('stamp')
+                    .setValue(this.icon)
+                    .onChange((value) => {
+                        this.icon = value || CONSTANTS.DEFAULT_ICON;
+                        if (this.updateIconPreview) {
+                            this.updateIconPreview(this.icon);
+                        }
+                    });
+                
+                // Create icon preview container
+                const iconPreviewContainer = text.inputEl.parentElement;
+                this.iconPreviewEl = iconPreviewContainer.createSpan({ 
+                    cls: 'icon-preview',
+                    attr: { 'aria-label': 'Icon preview' }
+                });
+                this.iconPreviewEl.style.cssText = `
+                    display: inline-flex;
+                    align-items: center;
+                    justify-content: center;
+                    width: 20px;
+                    height: 20px;
+                    margin-left: 8px;
+                    border: 1px solid var(--background-modifier-border);
+                    border-radius: 3px;
+                    background: var(--background-secondary);
+                `;
+                
+                // Setup debounced icon preview update
+                this.updateIconPreview = IconRenderer.debounce((iconName) => {
+                    if (this.iconPreviewEl) {
+                        this.iconPreviewEl.empty();
+                        IconRenderer.renderIcon(this.iconPreviewEl, iconName);
+                    }
+                }, CONSTANTS.ICON_PREVIEW_DEBOUNCE);
+                
+                // Initial preview
+                this.updateIconPreview(this.icon);
+                
+                return text;
+            });
+    }
+
+    /**
+     * Create action buttons (Save/Cancel)
+     * @param {HTMLElement} contentEl - Content element container
+     */
+    createActionButtons(contentEl) {
+        new Setting(contentEl)
+            .addButton(button => button
+                .setButtonText('Save')
+                .setCta()
+                .onClick(() => this.handleSave()))
+            .addButton(button => button
+                .setButtonText('Cancel')
+                .onClick(() => this.close()));
+    }
+
+    /**
+     * Handle saving the edited snippet with validation and atomic update
+     */
+    async handleSave() {
+        if (!this.key || !this.value) {
+            new Notice('Please enter both a key and text value.');
+            return;
+        }
+
+        // Validate key if it changed
+        if (this.key !== this.originalKey) {
+            const validation = SnippetValidator.validateKey(this.key);
+            if (!validation.isValid) {
+                new Notice(validation.message);
+                return;
+            }
+
+            // Check if new key already exists
+            if (this.plugin.findSnippetRecord(this.key)) {
+                new Notice(`Snippet "${this.key}" already exists. Choose a different key.`);
+                return;
+            }
+        }
+
+        const triggerValidation = SnippetValidator.validateTrigger(this.trigger);
+        if (!triggerValidation.isValid) {
+            new Notice(triggerValidation.message);
+            return;
+        }
+
+        const lookup = (include) => include === this.key ? this.value : this.plugin.getSnippet(include)?.body;
+        const includeValidation = SnippetValidator.validateIncludes(this.key, this.value, lookup);
+        if (!includeValidation.isValid) {
+            new Notice(includeValidation.message);
+            return;
+        }
+
+        const scopeValidation = SnippetValidator.validateScope(this.scope);
+        if (!scopeValidation.isValid) {
+            new Notice(scopeValidation.message);
+            return;
+        }
+
+        if (this.selection.mode === 'regex') {
+            const patternValidation = SnippetValidator.validatePattern(this.selection.pattern);
+            if (!patternValidation.isValid) {
+                new Notice(patternValidation.message);
+                return;
+            }
+        }
+
+        // Build the updated record and swap it in place (atomic update, order preserved)
+        const updated = {
+            ...this.snippet,
+            key: this.key,
+            body: this.value,
+            icon: this.icon,
+            group: SnippetGroups.normalize(this.group),
+            trigger: this.trigger,
+            selectionMode: this.selection.mode,
+            selectionPattern: this.selection.mode === 'regex' ? this.selection.pattern : '',
+            selectionDelimiter: this.selection.mode === 'delimiter' ? this.selection.delimiter : '',
+            keepWhitespace: this.selection.keepWhitespace,
+            scope: SnippetScope.normalize(this.scope)
+        };
+        if (SnippetScope.isEmpty(updated.scope)) {
+            delete updated.scope;
+        }
+        SnippetHistory.record(this.plugin.settings, this.snippet, updated);
+        this.plugin.settings.snippets = this.plugin.settings.snippets
+            .map(snippet => snippet.id === updated.id ? updated : snippet);
+
+        await this.plugin.saveSettings();
+
+        // The command id contains the key, so move the hotkey to the renamed command
+        if (this.key !== this.originalKey) {
+            await this.plugin.hotkeyManager.renameHotkeys(this.originalKey, this.key);
+        }
+        if (this.hotkey !== undefined) {
+            await this.plugin.hotkeyManager.setHotkey(this.key, this.hotkey);
+        }
+
+        new Notice(`Updated snippet: ${this.key}`);
+        this.close();
+        this.settingTab.display();
+
+        if (this.key !== this.originalKey) {
+            this.offerIncludeRename(this.originalKey, this.key);
+        }
+    }
+
+    /**
+     * After a rename, offer to update the snippets that include the old key
+     * @param {string} oldKey - The previous snippet key
+     * @param {string} newKey - The new snippet key
+     */
+    offerIncludeRename(oldKey, newKey) {
+        const includers = this.plugin.getIncludingSnippets(oldKey);
+        if (includers.length === 0) return;
+
+        const { plugin, settingTab } = this;
+        new ConfirmModal(this.app,
+            `${includers.length} snippet(s) include "${oldKey}" (${includers.map(snippet => snippet.key).join(', ')}). Update them to include "${newKey}"?`,
+            async () => {
+                const updated = await plugin.renameIncludes(oldKey, newKey);
+                new Notice(`Updated ${updated} snippet(s) to include "${newKey}"`);
+                settingTab.display();
+            },
+            'Update'
+        ).open();
+    }
+
+    onClose() {
+        const { contentEl } = this;
+        contentEl.empty();
+        
+        // Clean up references
+        this.plugin.hotkeyManager?.cancelRecording();
+        this.snippetEditor?.destroy();
+        this.snippetEditor = null;
+        this.iconPreviewEl = null;
+        this.updateIconPreview = null;
+    }
+}
+
+/**
+ * Modal listing a snippet's earlier versions, with a line diff between any two versions
+ * and a button to restore each one
+ */
+class SnippetHistoryModal extends Modal {
     /**
      * @param {object} app - Obsidian app instance
      * @param {InsertivePlugin} plugin - Plugin instance
-     * @param {string} originalKey - Original snippet key
-     * @param {string} originalValue - Original snippet value
+     * @param {object} snippet - The snippet record
      * @param {InsertiveSettingTab} settingTab - Settings tab for refreshing display
      */
-    constructor(app, plugin, originalKey, originalValue, settingTab) {
+    constructor(app, plugin, snippet, settingTab) {
         super(app);
         this.plugin = plugin;
-        this.originalKey = originalKey;
+        this.snippet = snippet;
         this.settingTab = settingTab;
-        
-        // Editable values
-        this.key = originalKey;
-        this.value = originalValue;
-        this.icon = plugin.settings.icons?.[originalKey] || CONSTANTS.DEFAULT_ICON;
-        this.group = plugin.settings.groups?.[originalKey] || '';
-        
-        // UI elements for cleanup
-        this.iconPreviewEl = null;
-        this.updateIconPreview = null;
+
+        // Versions compared in the diff, as indexes into getVersions() (0 is the current version)
+        this.compareFrom = 1;
+        this.compareTo = 0;
     }
 
     onOpen() {
-        const { contentEl } = this;
-        contentEl.createEl('h2', { text: 'Edit Snippet' });
+        this.modalEl.style.width = 'min(900px, 95vw)';
+        this.render();
+    }
 
-        this.createFormElements(contentEl);
-        this.createActionButtons(contentEl);
+    /**
+     * Get every version of the snippet, the current one first, then newest to oldest
+     * @returns {{label: string, snippet: object, revision?: object}[]} Versions
+     */
+    getVersions() {
+        return [
+            { label: 'Current version', snippet: this.snippet },
+            ...SnippetHistory.getRevisions(this.plugin.settings, this.snippet.id).map(revision => ({
+                label: `${moment(revision.savedAt).format('YYYY-MM-DD HH:mm')} (${moment(revision.savedAt).fromNow()})`,
+                snippet: revision.snippet,
+                revision
+            }))
+        ];
     }
 
     /**
-     * Create form input elements
-     * @param {HTMLElement} contentEl - Content element container
+     * Render the comparison and the list of earlier versions
      */
-    createFormElements(contentEl) {
-        // Key input
-        new Setting(contentEl)
-            .setName('Snippet Key')
-            .setDesc('The unique identifier for this snippet')
-            .addText(text => text
-                .setValue(this.key)
-                .onChange((value) => {
-                    this.key = value;
-                }));
+    render() {
+        const { contentEl } = this;
+        contentEl.empty();
+        contentEl.createEl('h2', { text: `History: ${this.snippet.key}` });
+
+        const versions = this.getVersions();
+        if (versions.length === 1) {
+            contentEl.createEl('p', { text: 'No earlier versions. A version is kept each time the snippet is changed.' });
+            return;
+        }
 
-        // Value input with template explanation
+        const addVersionOptions = (dropdown) => {
+            versions.forEach((version, index) => dropdown.addOption(String(index), version.label));
+        };
         new Setting(contentEl)
-            .setName('Snippet Text')
-            .setDesc('The text content of the snippet. Use {1}, {2}, etc. for placeholders.')
-            .addTextArea(text => {
-                text.setValue(this.value)
+            .setName('Compare')
+            .setDesc('Lines removed from the first version are marked -, lines added in the second are marked +')
+            .addDropdown(dropdown => {
+                addVersionOptions(dropdown);
+                dropdown.setValue(String(this.compareFrom))
                     .onChange((value) => {
-                        this.value = value;
+                        this.compareFrom = Number(value);
+                        this.render();
+                    });
+            })
+            .addDropdown(dropdown => {
+                addVersionOptions(dropdown);
+                dropdown.setValue(String(this.compareTo))
+                    .onChange((value) => {
+                        this.compareTo = Number(value);
+                        this.render();
                     });
-                text.inputEl.rows = 6;
-                text.inputEl.cols = 50;
-                return text;
             });
+        this.renderDiff(contentEl, versions[this.compareFrom].snippet, versions[this.compareTo].snippet);
 
-        // Group input
-        new Setting(contentEl)
-            .setName('Group')
-            .setDesc('Optional group name for organizing snippets in the context menu (leave empty for no group)')
-            .addText(text => text
-                .setPlaceholder('e.g., "Examples" or "Templates"')
-                .setValue(this.group)
-                .onChange((value) => {
-                    this.group = value;
+        contentEl.createEl('h3', { text: 'Earlier versions' });
+        versions.slice(1).forEach((version, index) => {
+            const setting = new Setting(contentEl)
+                .setName(version.label)
+                .setDesc(version.snippet.body.length > 100 ? version.snippet.body.substring(0, 100) + '...' : version.snippet.body)
+                .addButton(button => button
+                    .setButtonText('Compare')
+                    .onClick(() => {
+                        this.compareFrom = index + 1;
+                        this.compareTo = 0;
+                        this.render();
+                    }))
+                .addButton(button => button
+                    .setButtonText('Restore')
+                    .setCta()
+                    .onClick(() => this.handleRestore(version.revision)));
+
+            if (version.snippet.key !== this.snippet.key) {
+                setting.descEl.createEl('br');
+                setting.descEl.createEl('small', { text: `Key: ${version.snippet.key}`, cls: 'mod-muted' });
+            }
+        });
+    }
+
+    /**
+     * Render a line diff of two versions' text, and list their other changed fields
+     * @param {HTMLElement} containerEl - The container element
+     * @param {object} from - The first version
+     * @param {object} to - The second version
+     */
+    renderDiff(containerEl, from, to) {
+        const diffEl = containerEl.createDiv();
+        diffEl.style.cssText = `
+            font-family: var(--font-monospace);
+            font-size: var(--font-ui-small);
+            white-space: pre-wrap;
+            padding: 8px;
+            border: 1px solid var(--background-modifier-border);
+            border-radius: 4px;
+            max-height: 300px;
+            overflow: auto;
+        `;
+
+        const lineStyles = {
+            same: ['  ', 'color: var(--text-muted);'],
+            removed: ['- ', 'background: rgba(var(--color-red-rgb), 0.15);'],
+            added: ['+ ', 'background: rgba(var(--color-green-rgb), 0.15);']
+        };
+        SnippetHistory.diffLines(from.body, to.body).forEach(({ type, text }) => {
+            const [marker, style] = lineStyles[type];
+            diffEl.createDiv({ text: marker + text }).style.cssText = style;
+        });
+
+        const changedFields = [...new Set([...Object.keys(from), ...Object.keys(to)])]
+            .filter(field => field !== 'id' && field !== 'body')
+            .filter(field => !SnippetHistory.isSameContent({ [field]: from[field] }, { [field]: to[field] }));
+        if (changedFields.length > 0) {
+            containerEl.createEl('small', { text: `Also changed: ${changedFields.join(', ')}`, cls: 'mod-muted' });
+        }
+    }
+
+    /**
+     * Restore an earlier version; the current version is kept in the history
+     * @param {{savedAt: number, snippet: object}} revision - The revision to restore
+     */
+    async handleRestore(revision) {
+        SnippetHistory.restoreRevision(this.plugin.settings, this.snippet, revision);
+        await this.plugin.saveSettings();
+
+        new Notice(`Restored the version of "${this.snippet.key}" from ${moment(revision.savedAt).format('YYYY-MM-DD HH:mm')}`);
+        this.settingTab.display();
+        this.compareFrom = 1;
+        this.compareTo = 0;
+        this.render();
+    }
+
+    onClose() {
+        this.contentEl.empty();
+    }
+}
+
+/**
+ * Settings tab for managing snippets within Obsidian's settings panel
+ * Provides comprehensive snippet management interface
+ */
+class InsertiveSettingTab extends PluginSettingTab {
+    /**
+     * @param {object} app - Obsidian app instance
+     * @param {InsertivePlugin} plugin - Plugin instance
+     */
+    constructor(app, plugin) {
+        super(app, plugin);
+        this.plugin = plugin;
+        
+        // Form state for new snippet creation
+        this.newSnippetForm = {
+            key: '',
+            value: ''
+        };
+        
+        // Container for filtered snippet list
+        this.snippetsListContainer = null;
+        
+        // Group paths collapsed in the snippet list
+        this.collapsedGroups = new Set();
+        
+        // Snippet list search term, kept when the list is re-rendered
+        this.searchTerm = '';
+        
+        // Ids of the snippets selected for bulk actions, and the last one clicked (for shift-click ranges)
+        this.selectedSnippets = new Set();
+        this.lastSelectedId = null;
+        this.bulkActionsContainer = null;
+        
+        // Export file path, shared by the export section and the bulk export action
+        this.exportPath = 'insertive-snippets.json';
+        
+        // Editor of the "Add New Snippet" form
+        this.newSnippetEditor = null;
+    }
+
+    display() {
+        const { containerEl } = this;
+        this.destroyNewSnippetEditor();
+        containerEl.empty();
+
+        containerEl.createEl('h2', { text: 'Insertive Plugin Settings' });
+        
+        this.renderNewSnippetSection(containerEl);
+        
+        // Rebuild list container
+        this.snippetsListContainer = null;
+        this.renderExistingSnippetsSection(containerEl);
+        
+        this.renderTriggerSection(containerEl);
+        this.renderSuggestSection(containerEl);
+        this.renderSnippetFolderSection(containerEl);
+        this.renderUsageSection(containerEl);
+        this.renderTrashSection(containerEl);
+        this.renderImportExportSection(containerEl);
+    }
+
+    /**
+     * Render the trash: deleted snippets that can be restored or deleted for good
+     * @param {HTMLElement} containerEl - The container element
+     */
+    renderTrashSection(containerEl) {
+        containerEl.createEl('h3', { text: 'Trash' });
+
+        const { settings } = this.plugin;
+        new Setting(containerEl)
+            .setName('Deleted snippets')
+            .setDesc(`Deleted snippets are kept here, with their history and usage, until they are deleted permanently. The trash holds the last ${CONSTANTS.TRASH_LIMIT}.`)
+            .addButton(button => button
+                .setButtonText('Empty trash')
+                .setWarning()
+                .setDisabled(settings.trash.length === 0)
+                .onClick(() => {
+                    new ConfirmModal(this.app, `Permanently delete the ${settings.trash.length} snippet(s) in the trash?`, async () => {
+                        settings.trash.forEach(snippet => SnippetHistory.purge(settings, snippet.id));
+                        await this.plugin.saveData(settings);
+                        this.display();
+                    }, 'Delete').open();
                 }));
 
-        // Icon input with live preview
-        this.createIconInput(contentEl);
+        if (settings.trash.length === 0) {
+            containerEl.createEl('p', { text: 'The trash is empty.', cls: 'setting-item-description' });
+            return;
+        }
+
+        settings.trash.forEach(snippet => {
+            const truncatedValue = snippet.body.length > 100
+                ? snippet.body.substring(0, 100) + "..."
+                : snippet.body;
+
+            const setting = new Setting(containerEl)
+                .setName(snippet.key)
+                .setDesc(truncatedValue)
+                .addButton(button => button
+                    .setButtonText('Restore')
+                    .onClick(() => this.handleRestoreSnippet(snippet)))
+                .addButton(button => button
+                    .setButtonText('Delete permanently')
+                    .setWarning()
+                    .onClick(() => {
+                        new ConfirmModal(this.app, `Permanently delete "${snippet.key}"? This cannot be undone.`, async () => {
+                            SnippetHistory.purge(settings, snippet.id);
+                            await this.plugin.saveData(settings);
+                            this.display();
+                        }, 'Delete').open();
+                    }));
+
+            setting.descEl.createEl('br');
+            setting.descEl.createEl('small', {
+                text: `Deleted ${moment(snippet.deletedAt).fromNow()}`,
+                cls: 'mod-muted'
+            });
+        });
     }
 
     /**
-     * Create icon input with live preview functionality
-     * @param {HTMLElement} contentEl - Content element container
+     * Render the usage statistics section with menu options and a sortable usage list
+     * @param {HTMLElement} containerEl - The container element
      */
-    createIconInput(contentEl) {
-        new Setting(contentEl)
-            .setName('Icon')
-            .setDesc('Lucide icon name for the context menu (e.g., "stamp", "file-text", "star", "heart")')
-            .addText(text => {
-                text.setPlaceholder('stamp')
-                    .setValue(this.icon)
+    renderUsageSection(containerEl) {
+        containerEl.createEl('h3', { text: 'Usage Statistics' });
+
+        new Setting(containerEl)
+            .setName('Show recent snippets in the menu')
+            .setDesc(`List the ${CONSTANTS.MENU_SECTION_SIZE} most recently inserted snippets at the top of the Insertive context menu`)
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.menuShowRecent)
+                .onChange(async (value) => {
+                    this.plugin.settings.menuShowRecent = value;
+                    await this.plugin.saveData(this.plugin.settings);
+                }));
+
+        new Setting(containerEl)
+            .setName('Show frequent snippets in the menu')
+            .setDesc(`List the ${CONSTANTS.MENU_SECTION_SIZE} most often inserted snippets at the top of the Insertive context menu`)
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.menuShowFrequent)
+                .onChange(async (value) => {
+                    this.plugin.settings.menuShowFrequent = value;
+                    await this.plugin.saveData(this.plugin.settings);
+                }));
+
+        let sort = 'frequent';
+        let unusedOnly = false;
+        let listContainer = null;
+        const refreshList = () => this.renderUsageList(listContainer, sort, unusedOnly);
+
+        new Setting(containerEl)
+            .setName('Snippet usage')
+            .setDesc(`Snippets never inserted, or not in the last ${CONSTANTS.UNUSED_AFTER_DAYS} days, are flagged as unused`)
+            .addDropdown(dropdown => {
+                Object.entries(CONSTANTS.USAGE_SORTS).forEach(([value, label]) => dropdown.addOption(value, label));
+                dropdown.setValue(sort)
                     .onChange((value) => {
-                        this.icon = value || CONSTANTS.DEFAULT_ICON;
-                        if (this.updateIconPreview) {
-                            this.updateIconPreview(this.icon);
-                        }
+                        sort = value;
+                        refreshList();
                     });
-                
-                // Create icon preview container
-                const iconPreviewContainer = text.inputEl.parentElement;
-                this.iconPreviewEl = iconPreviewContainer.createSpan({ 
-                    cls: 'icon-preview',
-                    attr: { 'aria-label': 'Icon preview' }
-                });
-                this.iconPreviewEl.style.cssText = `
-                    display: inline-flex;
-                    align-items: center;
-                    justify-content: center;
-                    width: 20px;
-                    height: 20px;
-                    margin-left: 8px;
-                    border: 1px solid var(--background-modifier-border);
-                    border-radius: 3px;
-                    background: var(--background-secondary);
-                `;
-                
-                // Setup debounced icon preview update
-                this.updateIconPreview = IconRenderer.debounce((iconName) => {
-                    if (this.iconPreviewEl) {
-                        this.iconPreviewEl.empty();
-                        IconRenderer.renderIcon(this.iconPreviewEl, iconName);
-                    }
-                }, CONSTANTS.ICON_PREVIEW_DEBOUNCE);
-                
-                // Initial preview
-                this.updateIconPreview(this.icon);
-                
-                return text;
-            });
+            })
+            .addToggle(toggle => toggle
+                .setTooltip('Only show unused snippets')
+                .setValue(unusedOnly)
+                .onChange((value) => {
+                    unusedOnly = value;
+                    refreshList();
+                }))
+            .addButton(button => button
+                .setButtonText('Reset')
+                .setWarning()
+                .onClick(() => {
+                    new ConfirmModal(this.app, 'Reset the usage statistics of every snippet?', async () => {
+                        this.plugin.settings.usage = {};
+                        await this.plugin.saveData(this.plugin.settings);
+                        refreshList();
+                    }, 'Reset').open();
+                }));
+
+        listContainer = containerEl.createDiv();
+        refreshList();
     }
 
     /**
-     * Create action buttons (Save/Cancel)
-     * @param {HTMLElement} contentEl - Content element container
+     * Render the sorted usage list
+     * @param {HTMLElement} container - The container to render into
+     * @param {string} sort - A key of CONSTANTS.USAGE_SORTS
+     * @param {boolean} unusedOnly - Whether to only list unused snippets
      */
-    createActionButtons(contentEl) {
-        new Setting(contentEl)
+    renderUsageList(container, sort, unusedOnly) {
+        container.empty();
+
+        const compare = {
+            frequent: (a, b) => b.usage.count - a.usage.count,
+            recent: (a, b) => b.usage.lastUsed - a.usage.lastUsed,
+            least: (a, b) => a.usage.count - b.usage.count,
+            key: (a, b) => a.snippet.key.localeCompare(b.snippet.key)
+        }[sort];
+
+        const rows = this.plugin.getSnippets()
+            .map(snippet => ({ snippet, usage: this.plugin.getUsage(snippet) }))
+            .map(row => ({ ...row, unused: this.plugin.isUnused(row.usage) }))
+            .filter(row => !unusedOnly || row.unused)
+            .sort((a, b) => compare(a, b) || a.snippet.key.localeCompare(b.snippet.key));
+
+        if (rows.length === 0) {
+            container.createEl('p', { text: unusedOnly ? 'Every snippet has been used recently.' : 'No snippets yet.' });
+            return;
+        }
+
+        rows.forEach(({ snippet, usage, unused }) => {
+            const setting = new Setting(container)
+                .setName(snippet.key)
+                .setDesc(this.describeUsage(usage));
+
+            if (unused) {
+                setting.descEl.createEl('br');
+                setting.descEl.createEl('small', { text: 'Unused', cls: 'mod-warning' });
+            }
+        });
+    }
+
+    /**
+     * Describe a snippet's usage for display
+     * @param {{count: number, lastUsed: number}} usage - The snippet's usage
+     * @returns {string} e.g. "Used 3 times, last 2 days ago"
+     */
+    describeUsage(usage) {
+        if (usage.count === 0) return 'Never used';
+        const times = usage.count === 1 ? 'once' : `${usage.count} times`;
+        return `Used ${times}, last ${moment(usage.lastUsed).fromNow()}`;
+    }
+
+    hide() {
+        this.destroyNewSnippetEditor();
+        this.plugin.hotkeyManager?.cancelRecording();
+    }
+
+    /**
+     * Destroy the "Add New Snippet" editor before the settings are re-rendered or closed
+     */
+    destroyNewSnippetEditor() {
+        this.newSnippetEditor?.destroy();
+        this.newSnippetEditor = null;
+    }
+
+    /**
+     * Render the section for importing and exporting snippet libraries
+     * @param {HTMLElement} containerEl - The container element
+     */
+    renderImportExportSection(containerEl) {
+        containerEl.createEl('h3', { text: 'Import & Export' });
+
+        const groups = [...new Set(this.plugin.getSnippets()
+            .flatMap(snippet => SnippetGroups.getAncestors(snippet.group)))].sort();
+        let exportGroup = '';
+
+        new Setting(containerEl)
+            .setName('Export snippets')
+            .setDesc('Write snippets to a JSON file in the vault')
+            .addDropdown(dropdown => {
+                dropdown.addOption('', 'All snippets');
+                groups.forEach(group => dropdown.addOption(group, `Group: ${group}`));
+                dropdown.onChange((value) => {
+                    exportGroup = value;
+                });
+            })
+            .addText(text => text
+                .setPlaceholder('insertive-snippets.json')
+                .setValue(this.exportPath)
+                .onChange((value) => {
+                    this.exportPath = value.trim();
+                }))
             .addButton(button => button
-                .setButtonText('Save')
-                .setCta()
-                .onClick(() => this.handleSave()))
+                .setButtonText('Export')
+                .onClick(() => {
+                    const keys = this.plugin.getSnippetKeys()
+                        .filter(key => SnippetGroups.contains(exportGroup, this.plugin.getSnippet(key).group));
+                    this.handleExport(keys, this.exportPath);
+                }));
+
+        new Setting(containerEl)
+            .setName('Import snippets')
+            .setDesc('Import an Insertive JSON file, VS Code snippets (.code-snippets / .json) or Espanso match YAML')
             .addButton(button => button
-                .setButtonText('Cancel')
-                .onClick(() => this.close()));
+                .setButtonText('Import...')
+                .onClick(() => this.handleImport()));
     }
 
     /**
-     * Handle saving the edited snippet with validation and atomic update
+     * Export snippets to a vault file, confirming before overwriting
+     * @param {string[]} keys - Keys of the snippets to export
+     * @param {string} path - Vault path of the export file
      */
-    async handleSave() {
-        if (!this.key || !this.value) {
-            new Notice('Please enter both a key and text value.');
+    async handleExport(keys, path) {
+        if (keys.length === 0) {
+            new Notice('No snippets to export.');
+            return;
+        }
+        if (!path) {
+            new Notice('Please enter a file path for the export.');
             return;
         }
 
-        // Validate key if it changed
-        if (this.key !== this.originalKey) {
-            const validation = SnippetValidator.validateKey(this.key);
-            if (!validation.isValid) {
-                new Notice(validation.message);
-                return;
+        const filePath = normalizePath(path.endsWith('.json') ? path : `${path}.json`);
+        const content = SnippetLibrary.serialize(keys.map(key => this.plugin.getSnippet(key)));
+        const write = async () => {
+            try {
+                await this.app.vault.adapter.write(filePath, content);
+                new Notice(`Exported ${keys.length} snippet(s) to ${filePath}`);
+            } catch (error) {
+                console.error('Insertive: Error exporting snippets:', error);
+                new Notice('Failed to export snippets');
             }
+        };
 
-            // Check if new key already exists
-            if (this.plugin.settings.snippets[this.key]) {
-                new Notice(`Snippet "${this.key}" already exists. Choose a different key.`);
+        if (await this.app.vault.adapter.exists(filePath)) {
+            new ConfirmModal(this.app, `"${filePath}" already exists. Overwrite it?`, write, 'Overwrite').open();
+            return;
+        }
+        await write();
+    }
+
+    /**
+     * Pick a snippet library file and open the import preview
+     */
+    handleImport() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = CONSTANTS.IMPORT_ACCEPT;
+        input.addEventListener('change', async () => {
+            const file = input.files?.[0];
+            if (!file) return;
+
+            let entries;
+            try {
+                entries = SnippetLibrary.parse(await file.text(), file.name);
+            } catch (error) {
+                console.error('Insertive: Error parsing import file:', error);
+                new Notice(`Could not import ${file.name}: ${error.message}`);
                 return;
             }
-        }
 
-        // Create new settings object to avoid partial writes (atomic update)
-        const newSettings = { ...this.plugin.settings };
-        newSettings.snippets = { ...newSettings.snippets };
-        newSettings.icons = { ...newSettings.icons };
-        newSettings.groups = { ...newSettings.groups };
+            new ImportPreviewModal(this.app, this.plugin, entries, async (rows) => {
+                await this.importSnippets(rows);
+            }).open();
+        });
+        input.click();
+    }
+
+    /**
+     * Apply the import choices to the settings
+     * @param {{entry: object, action: string, newKey: string}[]} rows - Import rows from the preview
+     */
+    async importSnippets(rows) {
+        const { settings } = this.plugin;
+        let imported = 0;
+        let skipped = 0;
+
+        rows.forEach(({ entry, action, newKey }) => {
+            if (action === 'skip') {
+                skipped++;
+                return;
+            }
 
-        // Remove old key
-        delete newSettings.snippets[this.originalKey];
-        delete newSettings.icons[this.originalKey];
-        delete newSettings.groups[this.originalKey];
+            const key = action === 'replace' ? entry.key : newKey;
+            const validation = SnippetValidator.validateKey(key);
+            const existing = this.plugin.findSnippetRecord(key);
+            if (!validation.isValid || (action !== 'replace' && existing)) {
+                console.warn(`Insertive: Skipping import of "${key}":`, validation.message || 'key already exists');
+                skipped++;
+                return;
+            }
 
-        // Add new key
-        newSettings.snippets[this.key] = this.value;
-        newSettings.icons[this.key] = this.icon;
-        newSettings.groups[this.key] = this.group;
+            const fields = {
+                key,
+                body: entry.body,
+                icon: entry.icon,
+                group: entry.group,
+                trigger: entry.trigger,
+                ...SnippetRecord.pickOptionalFields(entry)
+            };
+            if (existing) {
+                const previous = structuredClone(existing);
+                SnippetRecord.replace(existing, fields);
+                SnippetHistory.record(settings, previous, existing);
+            } else {
+                settings.snippets.push(SnippetRecord.create(fields));
+            }
+            imported++;
+        });
 
-        // Apply and save atomically
-        this.plugin.settings = newSettings;
         await this.plugin.saveSettings();
+        new Notice(`Imported ${imported} snippet(s)` + (skipped ? `, skipped ${skipped}` : ''));
+        this.display();
+    }
 
-        new Notice(`Updated snippet: ${this.key}`);
-        this.close();
-        this.settingTab.display();
+    /**
+     * Render the section for configuring inline autocomplete suggestions
+     * @param {HTMLElement} containerEl - The container element
+     */
+    renderSuggestSection(containerEl) {
+        containerEl.createEl('h3', { text: 'Inline Suggestions' });
+
+        new Setting(containerEl)
+            .setName('Show suggestions while typing')
+            .setDesc('Pop up matching snippets after the suggestion trigger is typed')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.suggestEnabled)
+                .onChange(async (value) => {
+                    this.plugin.settings.suggestEnabled = value;
+                    await this.plugin.saveData(this.plugin.settings);
+                }));
+
+        new Setting(containerEl)
+            .setName('Suggestion trigger')
+            .setDesc('Characters that open the suggestion list (e.g., ";;" or "\\\\")')
+            .addText(text => text
+                .setPlaceholder(';;')
+                .setValue(this.plugin.settings.suggestTrigger)
+                .onChange(async (value) => {
+                    this.plugin.settings.suggestTrigger = value.trim();
+                    await this.plugin.saveData(this.plugin.settings);
+                }));
     }
 
-    onClose() {
-        const { contentEl } = this;
-        contentEl.empty();
-        
-        // Clean up references
-        this.iconPreviewEl = null;
-        this.updateIconPreview = null;
+    /**
+     * Render the section for configuring typed trigger abbreviations
+     * @param {HTMLElement} containerEl - The container element
+     */
+    renderTriggerSection(containerEl) {
+        containerEl.createEl('h3', { text: 'Typed Triggers' });
+        containerEl.createDiv('setting-item-description', (el) => {
+            el.innerHTML = 'Give a snippet a trigger in its edit dialog, then type the prefix and the trigger (e.g. <code>;callout</code>) in a note to replace it with the snippet.';
+        });
+
+        new Setting(containerEl)
+            .setName('Trigger prefix')
+            .setDesc('Characters typed before a trigger (may be empty)')
+            .addText(text => text
+                .setPlaceholder(';')
+                .setValue(this.plugin.settings.triggerPrefix)
+                .onChange(async (value) => {
+                    this.plugin.settings.triggerPrefix = value.trim();
+                    await this.plugin.saveData(this.plugin.settings);
+                }));
+
+        new Setting(containerEl)
+            .setName('Expand on')
+            .setDesc('When a typed trigger is replaced by its snippet')
+            .addDropdown(dropdown => {
+                Object.entries(CONSTANTS.TRIGGER_EXPAND_KEYS).forEach(([value, label]) => {
+                    dropdown.addOption(value, label);
+                });
+                dropdown.setValue(this.plugin.settings.triggerExpandKey)
+                    .onChange(async (value) => {
+                        this.plugin.settings.triggerExpandKey = value;
+                        await this.plugin.saveData(this.plugin.settings);
+                    });
+            });
     }
-}
 
-/**
- * Settings tab for managing snippets within Obsidian's settings panel
- * Provides comprehensive snippet management interface
- */
-class InsertiveSettingTab extends PluginSettingTab {
     /**
-     * @param {object} app - Obsidian app instance
-     * @param {InsertivePlugin} plugin - Plugin instance
+     * Render the section for configuring the snippet folder and listing its snippets
+     * @param {HTMLElement} containerEl - The container element
      */
-    constructor(app, plugin) {
-        super(app, plugin);
-        this.plugin = plugin;
-        
-        // Form state for new snippet creation
-        this.newSnippetForm = {
-            key: '',
-            value: ''
-        };
-        
-        // Container for filtered snippet list
-        this.snippetsListContainer = null;
+    renderSnippetFolderSection(containerEl) {
+        containerEl.createEl('h3', { text: 'Snippet Folder' });
+        containerEl.createDiv('setting-item-description', (el) => {
+            el.innerHTML = 'Snippets can also be stored as Markdown files in a vault folder. The file name (or a <code>key</code> frontmatter field) is the snippet key, <code>icon</code> and <code>group</code> frontmatter fields set the icon and group, and the note body is the snippet text. Snippets above take precedence over folder snippets with the same key.';
+        });
+
+        let folderListContainer = null;
+        const refreshFolderList = IconRenderer.debounce(async () => {
+            await this.plugin.folderStore.reload();
+            if (folderListContainer) this.renderFolderSnippetList(folderListContainer);
+        }, CONSTANTS.FOLDER_RELOAD_DEBOUNCE);
+
+        new Setting(containerEl)
+            .setName('Folder path')
+            .setDesc('Vault folder to read snippet files from (leave empty to disable)')
+            .addText(text => text
+                .setPlaceholder('e.g., "Snippets"')
+                .setValue(this.plugin.settings.snippetFolder || '')
+                .onChange(async (value) => {
+                    this.plugin.settings.snippetFolder = value.trim();
+                    await this.plugin.saveData(this.plugin.settings);
+                    refreshFolderList();
+                }));
+
+        folderListContainer = containerEl.createDiv();
+        this.renderFolderSnippetList(folderListContainer);
     }
 
-    display() {
-        const { containerEl } = this;
-        containerEl.empty();
+    /**
+     * Render the list of snippets loaded from the snippet folder
+     * @param {HTMLElement} container - The container to render into
+     */
+    renderFolderSnippetList(container) {
+        container.empty();
+        if (!this.plugin.folderStore.getFolderPath()) return;
 
-        containerEl.createEl('h2', { text: 'Insertive Plugin Settings' });
-        
-        this.renderNewSnippetSection(containerEl);
-        
-        // Rebuild list container
-        this.snippetsListContainer = null;
-        this.renderExistingSnippetsSection(containerEl);
+        const folderSnippets = Object.values(this.plugin.folderStore.snippets);
+        if (folderSnippets.length === 0) {
+            container.createEl('p', { text: 'No snippet files found in this folder.' });
+            return;
+        }
+
+        folderSnippets.forEach(snippet => {
+            const setting = new Setting(container)
+                .setName(snippet.key)
+                .setDesc(snippet.path);
+
+            if (this.plugin.findSnippetRecord(snippet.key)) {
+                setting.descEl.createEl('br');
+                setting.descEl.createEl('small', {
+                    text: 'Shadowed by a settings snippet with the same key',
+                    cls: 'mod-warning'
+                });
+            }
+
+            setting.addButton(button => button
+                .setButtonText('Open')
+                .onClick(() => {
+                    this.app.workspace.openLinkText(snippet.path, '', false);
+                    this.app.setting.close();
+                }));
+        });
     }
 
     /**
@@ -668,7 +4793,7 @@ class InsertiveSettingTab extends PluginSettingTab {
         
         // Add template explanation
         containerEl.createDiv('setting-item-description', (el) => {
-            el.innerHTML = 'You can use placeholders like <code>{1}</code>, <code>{2}</code>, etc. in your snippets. When you select text and insert a snippet with placeholders, the selected text will be split by newlines and inserted at the numbered positions.';
+            el.innerHTML = 'You can use placeholders like <code>{1}</code>, <code>{2}</code>, etc. in your snippets. When you select text and insert a snippet with placeholders, the selected text will be split by newlines and inserted at the numbered positions.<br>Named placeholders like <code>{{name}}</code>, <code>{{name=default}}</code> or <code>{{status|open,closed}}</code> are filled from the selected lines, or through a form when nothing is selected.<br>Built-in variables: <code>{{date:YYYY-MM-DD}}</code>, <code>{{time:HH:mm}}</code>, <code>{{title}}</code>, <code>{{folder}}</code>, <code>{{path}}</code>, <code>{{fm:field}}</code> and <code>{{clipboard}}</code>.<br>Tab stops <code>$1</code>, <code>${1:default}</code> and <code>$0</code> set where the cursor goes after inserting; press Tab to move between them.<br>Blocks: <code>{{#each line}}...{{/each}}</code> repeats for every selected line, <code>{{#if selection}}...{{else}}...{{/if}}</code> inserts one part or the other, and <code>{{> key}}</code> includes another snippet.<br>Filters: <code>{1|upper}</code>, <code>{selection|slug}</code>, <code>{1|trim|wikilink}</code> (see the README for the full list).';
         });
         
         // Snippet key input
@@ -682,20 +4807,17 @@ class InsertiveSettingTab extends PluginSettingTab {
                     this.newSnippetForm.key = value;
                 }));
 
-        // Snippet value input
+        // Snippet value editor with preview
         new Setting(containerEl)
             .setName('Snippet Text')
-            .setDesc('Enter the text content for your snippet. Use {1}, {2}, etc. for placeholders.')
-            .addTextArea(text => {
-                text.setPlaceholder('Enter your text snippet here...\nExample: "Hello, {1}! Welcome to {2}."')
-                    .setValue(this.newSnippetForm.value)
-                    .onChange((value) => {
-                        this.newSnippetForm.value = value;
-                    });
-                text.inputEl.rows = 4;
-                text.inputEl.cols = 50;
-                return text;
-            });
+            .setDesc('Enter the text content for your snippet. Use {1}, {2}, etc. for selected lines and {{name}} for named placeholders. Example: "Hello, {1}! Welcome to {2}."');
+        this.newSnippetEditor = new SnippetEditor(containerEl, this.plugin, {
+            value: this.newSnippetForm.value,
+            onChange: (value) => {
+                this.newSnippetForm.value = value;
+            },
+            getSnippet: () => ({ key: this.newSnippetForm.key })
+        });
 
         // Add snippet button
         new Setting(containerEl)
@@ -713,22 +4835,221 @@ class InsertiveSettingTab extends PluginSettingTab {
         containerEl.createEl('h3', { text: 'Existing Snippets' });
         
         // Search bar
-        let searchTerm = '';
         new Setting(containerEl)
             .setName('Search snippets')
             .addText(text => text
                 .setPlaceholder('Filter by key or content...')
+                .setValue(this.searchTerm)
                 .onChange(value => {
-                    searchTerm = value.toLowerCase();
-                    this.filterAndDisplaySnippets(this.snippetsListContainer, searchTerm);
+                    this.searchTerm = value.toLowerCase();
+                    this.filterAndDisplaySnippets(this.snippetsListContainer, this.searchTerm);
                 }));
 
+        // Bulk actions for the selected snippets
+        const existingIds = new Set(this.plugin.settings.snippets.map(snippet => snippet.id));
+        this.selectedSnippets = new Set([...this.selectedSnippets].filter(id => existingIds.has(id)));
+        this.bulkActionsContainer = containerEl.createDiv();
+        this.renderBulkActions();
+
         // Container for filtered results
         this.snippetsListContainer = containerEl.createDiv();
-        this.filterAndDisplaySnippets(this.snippetsListContainer, '');
+        this.filterAndDisplaySnippets(this.snippetsListContainer, this.searchTerm);
         this.enableDragToReorder(this.snippetsListContainer);
     }
 
+    /**
+     * Render the selection summary and the bulk actions for the selected snippets
+     */
+    renderBulkActions() {
+        const container = this.bulkActionsContainer;
+        container.empty();
+
+        const count = this.selectedSnippets.size;
+        new Setting(container)
+            .setName(count > 0 ? `${count} snippet(s) selected` : 'Select snippets')
+            .setDesc('Tick snippets to act on several at once. Shift-click selects a range of the listed snippets.')
+            .addButton(button => button
+                .setButtonText('Select all')
+                .setTooltip('Select every listed snippet')
+                .onClick(() => {
+                    this.getListedSnippetIds().forEach(id => this.selectedSnippets.add(id));
+                    this.refreshSelection();
+                }))
+            .addButton(button => button
+                .setButtonText('Clear')
+                .setDisabled(count === 0)
+                .onClick(() => {
+                    this.selectedSnippets.clear();
+                    this.lastSelectedId = null;
+                    this.refreshSelection();
+                }));
+
+        if (count === 0) return;
+
+        let group = '';
+        let icon = '';
+        new Setting(container)
+            .setName('Group and icon')
+            .addText(text => text
+                .setPlaceholder('Group (empty for none)')
+                .onChange((value) => {
+                    group = value;
+                }))
+            .addButton(button => button
+                .setButtonText('Move')
+                .onClick(() => this.handleBulkUpdate((snippet) => {
+                    snippet.group = SnippetGroups.normalize(group);
+                }, `Moved ${count} snippet(s) to ${SnippetGroups.normalize(group) || 'no group'}`)))
+            .addText(text => text
+                .setPlaceholder(CONSTANTS.DEFAULT_ICON)
+                .onChange((value) => {
+                    icon = value;
+                }))
+            .addButton(button => button
+                .setButtonText('Set icon')
+                .onClick(() => this.handleBulkUpdate((snippet) => {
+                    snippet.icon = icon.trim() || CONSTANTS.DEFAULT_ICON;
+                }, `Set the icon of ${count} snippet(s)`)));
+
+        new Setting(container)
+            .setName('Actions')
+            .addButton(button => button
+                .setButtonText('Enable')
+                .onClick(() => this.handleBulkUpdate((snippet) => {
+                    delete snippet.disabled;
+                }, `Enabled ${count} snippet(s)`)))
+            .addButton(button => button
+                .setButtonText('Disable')
+                .onClick(() => this.handleBulkUpdate((snippet) => {
+                    snippet.disabled = true;
+                }, `Disabled ${count} snippet(s)`)))
+            .addButton(button => button
+                .setButtonText('Duplicate')
+                .onClick(() => this.handleBulkDuplicate()))
+            .addButton(button => button
+                .setButtonText('Export')
+                .setTooltip(`Export to ${this.exportPath} (set in Import & Export)`)
+                .onClick(() => this.handleExport(this.getSelectedSnippets().map(snippet => snippet.key), this.exportPath)))
+            .addButton(button => button
+                .setButtonText('Delete')
+                .setWarning()
+                .onClick(() => this.handleBulkDelete()));
+    }
+
+    /**
+     * Get the ids of the snippets currently listed, in list order
+     * Snippets hidden by the search or inside a collapsed group are left out
+     * @returns {string[]} Snippet ids
+     */
+    getListedSnippetIds() {
+        return [...this.snippetsListContainer.querySelectorAll('[data-snippet-id]')]
+            .filter(el => el.isShown())
+            .map(el => el.dataset.snippetId);
+    }
+
+    /**
+     * Get the selected snippet records in settings order
+     * @returns {object[]} Snippet records
+     */
+    getSelectedSnippets() {
+        return this.plugin.settings.snippets.filter(snippet => this.selectedSnippets.has(snippet.id));
+    }
+
+    /**
+     * Select or deselect a snippet; with shift held, apply the same to every listed snippet
+     * between the last clicked one and this one
+     * @param {string} id - The snippet id
+     * @param {boolean} selected - Whether the snippet is now selected
+     * @param {boolean} extendRange - Whether shift was held
+     */
+    handleSelectSnippet(id, selected, extendRange) {
+        const listed = this.getListedSnippetIds();
+        const from = listed.indexOf(this.lastSelectedId);
+        const to = listed.indexOf(id);
+        const ids = extendRange && from !== -1 && to !== -1
+            ? listed.slice(Math.min(from, to), Math.max(from, to) + 1)
+            : [id];
+
+        ids.forEach(snippetId => {
+            if (selected) {
+                this.selectedSnippets.add(snippetId);
+            } else {
+                this.selectedSnippets.delete(snippetId);
+            }
+        });
+        this.lastSelectedId = id;
+        this.refreshSelection();
+    }
+
+    /**
+     * Update the row checkboxes and the bulk actions after the selection changed
+     */
+    refreshSelection() {
+        this.snippetsListContainer.querySelectorAll('[data-snippet-id]').forEach(el => {
+            const checkbox = el.querySelector('input[type="checkbox"]');
+            if (checkbox) checkbox.checked = this.selectedSnippets.has(el.dataset.snippetId);
+        });
+        this.renderBulkActions();
+    }
+
+    /**
+     * Apply a change to every selected snippet and save
+     * @param {Function} update - Changes a snippet record in place
+     * @param {string} message - Notice shown afterwards
+     */
+    async handleBulkUpdate(update, message) {
+        this.getSelectedSnippets().forEach(update);
+        await this.plugin.saveSettings();
+        new Notice(message);
+        this.display();
+    }
+
+    /**
+     * Duplicate the selected snippets, each copy placed after its original and selected instead
+     */
+    async handleBulkDuplicate() {
+        const { settings } = this.plugin;
+        const keys = new Set(this.plugin.getSnippetKeys());
+        const copies = [];
+
+        settings.snippets = settings.snippets.flatMap(snippet => {
+            if (!this.selectedSnippets.has(snippet.id)) return [snippet];
+            const copy = SnippetRecord.duplicate(snippet, keys);
+            keys.add(copy.key);
+            copies.push(copy);
+            return [snippet, copy];
+        });
+
+        await this.plugin.saveSettings();
+        new Notice(`Duplicated ${copies.length} snippet(s)`);
+        this.selectedSnippets = new Set(copies.map(copy => copy.id));
+        this.lastSelectedId = null;
+        this.display();
+    }
+
+    /**
+     * Move the selected snippets to the trash after confirmation
+     */
+    handleBulkDelete() {
+        const snippets = this.getSelectedSnippets();
+        new ConfirmModal(this.app, `Move ${snippets.length} snippet(s) to the trash?`, async () => {
+            const { hotkeyManager } = this.plugin;
+            const removedHotkeys = snippets.map(snippet => {
+                const hotkeys = hotkeyManager.detachHotkeys(snippet.key);
+                SnippetHistory.trash(this.plugin.settings, snippet, hotkeys);
+                return hotkeys;
+            });
+            if (removedHotkeys.some(Boolean)) {
+                await hotkeyManager.save();
+            }
+            await this.plugin.saveSettings();
+            new Notice(`Moved ${snippets.length} snippet(s) to the trash`);
+            this.selectedSnippets.clear();
+            this.lastSelectedId = null;
+            this.display();
+        }, 'Delete').open();
+    }
+
     /**
      * Filter and display snippets based on search term
      * @param {HTMLElement} container - The container to render into
@@ -736,35 +5057,151 @@ class InsertiveSettingTab extends PluginSettingTab {
      */
     filterAndDisplaySnippets(container, term) {
         container.empty();
-        const keys = Object.keys(this.plugin.settings.snippets);
+        const snippets = this.plugin.settings.snippets;
+
+        if (snippets.length === 0) {
+            container.createEl('p', { text: 'No snippets configured yet.' });
+            return;
+        }
+
+        const filtered = term 
+            ? snippets.filter(snippet => 
+                  snippet.key.toLowerCase().includes(term) || 
+                  snippet.body.toLowerCase().includes(term)
+              )
+            : snippets;
+
+        if (filtered.length === 0) {
+            container.createEl('p', { text: 'No snippets match your search.' });
+            return;
+        }
+
+        // Usage instructions (only if not searching)
+        if (!term) {
+            this.renderUsageInstructions(container);
+        }
+
+        // Search results show every matching group expanded
+        const tree = SnippetGroups.buildTree(filtered, this.plugin.settings.groups);
+        this.renderGroupContents(container, tree, !!term);
+
+        if (!term) {
+            this.renderHotkeyInstructions(container);
+        }
+    }
+
+    /**
+     * Render a group's snippets followed by a collapsible section for each child group
+     * @param {HTMLElement} containerEl - The container element
+     * @param {object} node - The group tree node (see SnippetGroups.buildTree)
+     * @param {boolean} expandAll - Whether to ignore collapsed state (e.g. while searching)
+     */
+    renderGroupContents(containerEl, node, expandAll) {
+        node.snippets.forEach(snippet => this.renderSnippetSetting(containerEl, snippet));
+        node.children.forEach(child => this.renderGroupSection(containerEl, child, expandAll));
+    }
+
+    /**
+     * Check whether a group itself is disabled (not counting the groups it is nested in)
+     * @param {string} path - The group path
+     * @returns {boolean} True if the group record is disabled
+     */
+    isGroupDisabled(path) {
+        return !!this.plugin.settings.groups.find(group => group.path === path)?.disabled;
+    }
+
+    /**
+     * Render a collapsible group section with its icon, snippet count and ordering controls
+     * @param {HTMLElement} containerEl - The container element
+     * @param {object} node - The group tree node
+     * @param {boolean} expandAll - Whether to ignore collapsed state
+     */
+    renderGroupSection(containerEl, node, expandAll) {
+        const details = containerEl.createEl('details');
+        details.open = expandAll || !this.collapsedGroups.has(node.path);
+        details.addEventListener('toggle', () => {
+            if (expandAll) return;
+            if (details.open) {
+                this.collapsedGroups.delete(node.path);
+            } else {
+                this.collapsedGroups.add(node.path);
+            }
+        });
 
-        if (keys.length === 0) {
-            container.createEl('p', { text: 'No snippets configured yet.' });
-            return;
+        const summary = details.createEl('summary');
+        summary.style.cssText = 'cursor: pointer; padding: 8px 0; font-weight: var(--font-semibold);';
+        const iconEl = summary.createSpan();
+        iconEl.style.cssText = 'display: inline-flex; vertical-align: middle; margin: 0 6px;';
+        IconRenderer.renderIcon(iconEl, node.icon);
+        summary.createSpan({ text: node.name });
+        summary.createEl('small', { text: ` (${node.count})`, cls: 'mod-muted' });
+        if (this.isGroupDisabled(node.path)) {
+            summary.style.opacity = '0.5';
+            summary.createEl('small', { text: ' disabled', cls: 'mod-warning' });
         }
 
-        const filtered = term 
-            ? keys.filter(key => 
-                  key.toLowerCase().includes(term) || 
-                  this.plugin.settings.snippets[key].toLowerCase().includes(term)
-              )
-            : keys;
+        const body = details.createDiv();
+        body.style.cssText = 'margin-left: 6px; padding-left: 16px; border-left: 1px solid var(--background-modifier-border);';
 
-        if (filtered.length === 0) {
-            container.createEl('p', { text: 'No snippets match your search.' });
-            return;
-        }
+        this.renderGroupControls(body, node, iconEl);
+        this.renderGroupContents(body, node, expandAll);
+    }
 
-        // Usage instructions (only if not searching)
-        if (!term) {
-            this.renderUsageInstructions(container);
-        }
+    /**
+     * Render the enable toggle, icon input and move buttons for a group
+     * @param {HTMLElement} containerEl - The container element
+     * @param {object} node - The group tree node
+     * @param {HTMLElement} iconEl - The group's header icon, updated live
+     */
+    renderGroupControls(containerEl, node, iconEl) {
+        const updateIcon = IconRenderer.debounce(async (value) => {
+            const icon = value.trim() || CONSTANTS.DEFAULT_GROUP_ICON;
+            this.plugin.settings.groups = SnippetGroups.sync(this.plugin.settings.groups, [node.path])
+                .map(group => group.path === node.path ? { ...group, icon } : group);
+            await this.plugin.saveData(this.plugin.settings);
 
-        filtered.forEach(key => this.renderSnippetSetting(container, key));
+            iconEl.empty();
+            IconRenderer.renderIcon(iconEl, icon);
+        }, CONSTANTS.ICON_PREVIEW_DEBOUNCE);
 
-        if (!term) {
-            this.renderHotkeyInstructions(container);
-        }
+        const setEnabled = async (enabled) => {
+            this.plugin.settings.groups = SnippetGroups.sync(this.plugin.settings.groups, [node.path])
+                .map(group => {
+                    if (group.path !== node.path) return group;
+                    const { disabled, ...enabledGroup } = group;
+                    return enabled ? enabledGroup : { ...enabledGroup, disabled: true };
+                });
+            // Save through saveSettings so the group's snippet commands are added or removed
+            await this.plugin.saveSettings();
+            this.display();
+        };
+
+        const moveGroup = async (direction) => {
+            const groups = SnippetGroups.sync(this.plugin.settings.groups, [node.path]);
+            this.plugin.settings.groups = SnippetGroups.move(groups, node.path, direction);
+            await this.plugin.saveData(this.plugin.settings);
+            this.display();
+        };
+
+        new Setting(containerEl)
+            .setName('Group enabled, icon and order')
+            .setDesc(node.path)
+            .addToggle(toggle => toggle
+                .setTooltip(this.isGroupDisabled(node.path) ? 'Enable group' : 'Disable group and its snippets')
+                .setValue(!this.isGroupDisabled(node.path))
+                .onChange(setEnabled))
+            .addText(text => text
+                .setPlaceholder(CONSTANTS.DEFAULT_GROUP_ICON)
+                .setValue(node.icon)
+                .onChange(updateIcon))
+            .addExtraButton(button => button
+                .setIcon('arrow-up')
+                .setTooltip('Move group up')
+                .onClick(() => moveGroup(-1)))
+            .addExtraButton(button => button
+                .setIcon('arrow-down')
+                .setTooltip('Move group down')
+                .onClick(() => moveGroup(1)));
     }
 
     /**
@@ -807,29 +5244,16 @@ class InsertiveSettingTab extends PluginSettingTab {
             target.classList.remove('drag-over');
             draggedItem.style.opacity = '1';
 
-            const allItems = Array.from(containerEl.querySelectorAll('.setting-item'));
-            const fromIndex = allItems.indexOf(draggedItem);
-            const toIndex = allItems.indexOf(target);
+            // Reorder in settings by record id, so a filtered list moves the right records
+            const snippets = [...this.plugin.settings.snippets];
+            const fromIndex = snippets.findIndex(s => s.id === draggedItem.dataset.snippetId);
+            const toIndex = snippets.findIndex(s => s.id === target.dataset.snippetId);
 
-            if (fromIndex === toIndex) return;
+            if (fromIndex === -1 || toIndex === -1 || fromIndex === toIndex) return;
 
-            // Reorder in settings
-            const keys = Object.keys(this.plugin.settings.snippets);
-            const [movedKey] = keys.splice(fromIndex, 1);
-            keys.splice(toIndex, 0, movedKey);
-
-            const newSnippets = {};
-            const newIcons = {};
-            const newGroups = {};
-            keys.forEach(k => {
-                newSnippets[k] = this.plugin.settings.snippets[k];
-                newIcons[k] = this.plugin.settings.icons[k];
-                newGroups[k] = this.plugin.settings.groups[k];
-            });
-
-            this.plugin.settings.snippets = newSnippets;
-            this.plugin.settings.icons = newIcons;
-            this.plugin.settings.groups = newGroups;
+            const [moved] = snippets.splice(fromIndex, 1);
+            snippets.splice(toIndex, 0, moved);
+            this.plugin.settings.snippets = snippets;
 
             await this.plugin.saveSettings();
             this.display(); // Refresh
@@ -849,18 +5273,17 @@ class InsertiveSettingTab extends PluginSettingTab {
      */
     renderUsageInstructions(containerEl) {
         containerEl.createDiv('setting-item-description', (el) => {
-            el.innerHTML = 'Each snippet automatically gets a command that can be assigned a hotkey. Go to <strong>Settings → Hotkeys</strong> and search for "Insert Snippet" to assign keyboard shortcuts.';
+            el.innerHTML = 'Each snippet automatically gets a command that can be assigned a hotkey. Click the <strong>Set hotkey</strong> button on a snippet and press a key combination, or go to <strong>Settings → Hotkeys</strong> and search for "Insert Snippet".';
         });
     }
 
     /**
      * Render a single snippet setting row
      * @param {HTMLElement} containerEl - The container element
-     * @param {string} key - The snippet key
+     * @param {object} snippet - The snippet record
      */
-    renderSnippetSetting(containerEl, key) {
-        const snippetValue = this.plugin.settings.snippets[key];
-        const snippetGroup = this.plugin.settings.groups?.[key] || '';
+    renderSnippetSetting(containerEl, snippet) {
+        const { key, body: snippetValue, group: snippetGroup, trigger: snippetTrigger } = snippet;
         const truncatedValue = snippetValue.length > 100 
             ? snippetValue.substring(0, 100) + "..." 
             : snippetValue;
@@ -871,6 +5294,27 @@ class InsertiveSettingTab extends PluginSettingTab {
         
         // Make the setting item draggable
         setting.settingEl.setAttribute('draggable', 'true');
+        setting.settingEl.dataset.snippetId = snippet.id;
+        
+        // Selection checkbox for bulk actions
+        const checkbox = createEl('input', { type: 'checkbox' });
+        checkbox.style.cssText = 'margin-right: 12px; flex-shrink: 0;';
+        checkbox.checked = this.selectedSnippets.has(snippet.id);
+        checkbox.addEventListener('click', (evt) => {
+            this.handleSelectSnippet(snippet.id, checkbox.checked, evt.shiftKey);
+        });
+        setting.settingEl.prepend(checkbox);
+        
+        // Grey out disabled snippets, including those in a disabled group
+        const disabledGroup = SnippetGroups.getDisabledAncestor(this.plugin.settings.groups, snippetGroup);
+        if (snippet.disabled || disabledGroup) {
+            setting.settingEl.style.opacity = '0.5';
+            setting.descEl.createEl('br');
+            setting.descEl.createEl('small', {
+                text: snippet.disabled ? 'Disabled' : `Disabled with group ${disabledGroup}`,
+                cls: 'mod-warning'
+            });
+        }
         
         // Add group information if it exists
         if (snippetGroup) {
@@ -881,6 +5325,41 @@ class InsertiveSettingTab extends PluginSettingTab {
             });
         }
         
+        // Add trigger information if it exists
+        if (snippetTrigger) {
+            setting.descEl.createEl('br');
+            setting.descEl.createEl('small', { 
+                text: `Trigger: ${this.plugin.settings.triggerPrefix}${snippetTrigger}`,
+                cls: 'mod-muted'
+            });
+        }
+        
+        // Add usage information
+        setting.descEl.createEl('br');
+        setting.descEl.createEl('small', {
+            text: this.describeUsage(this.plugin.getUsage(snippet)),
+            cls: 'mod-muted'
+        });
+        
+        // Add scope information if it exists
+        if (!SnippetScope.isEmpty(snippet.scope)) {
+            setting.descEl.createEl('br');
+            setting.descEl.createEl('small', {
+                text: `Scope: ${SnippetScope.describe(snippet.scope)}`,
+                cls: 'mod-muted'
+            });
+        }
+        
+        // Warn about includes that cannot be expanded
+        const includeValidation = SnippetValidator.validateIncludes(key, snippetValue, (include) => this.plugin.getSnippet(include)?.body);
+        if (!includeValidation.isValid) {
+            setting.descEl.createEl('br');
+            setting.descEl.createEl('small', {
+                text: includeValidation.message,
+                cls: 'mod-warning'
+            });
+        }
+        
         // Add command information
         setting.descEl.createEl('br');
         setting.descEl.createEl('small', { 
@@ -889,15 +5368,65 @@ class InsertiveSettingTab extends PluginSettingTab {
         });
         
         // Add action buttons
+        setting.addToggle(toggle => toggle
+            .setTooltip(snippet.disabled ? 'Enable' : 'Disable')
+            .setValue(!snippet.disabled)
+            .onChange((value) => this.handleToggleEnabled(snippet, value)));
+        
+        const revisions = SnippetHistory.getRevisions(this.plugin.settings, snippet.id);
+        if (revisions.length > 0) {
+            setting.addExtraButton(button => button
+                .setIcon('history')
+                .setTooltip(`History (${revisions.length} earlier version${revisions.length === 1 ? '' : 's'})`)
+                .onClick(() => {
+                    new SnippetHistoryModal(this.app, this.plugin, snippet, this).open();
+                }));
+        }
+        setting.addExtraButton(button => button
+                .setIcon(snippet.pinned ? 'pin-off' : CONSTANTS.PINNED_ICON)
+                .setTooltip(snippet.pinned ? 'Unpin' : 'Pin to the top of the menu')
+                .onClick(() => this.handleTogglePinned(snippet)));
+        
+        this.renderHotkeyControls(setting, key);
+        
         setting.addButton(button => button
                 .setButtonText('Edit')
                 .onClick(() => {
-                    new EditSnippetModal(this.app, this.plugin, key, snippetValue, this).open();
+                    new EditSnippetModal(this.app, this.plugin, snippet, this).open();
                 }))
             .addButton(button => button
                 .setButtonText('Delete')
                 .setWarning()
-                .onClick(() => this.handleDeleteSnippet(key)));
+                .onClick(() => this.handleDeleteSnippet(snippet)));
+    }
+
+    /**
+     * Render a snippet row's hotkey button (showing the current hotkey) and remove button
+     * @param {Setting} setting - The snippet's setting row
+     * @param {string} key - The snippet key
+     */
+    renderHotkeyControls(setting, key) {
+        const { hotkeyManager } = this.plugin;
+        const hotkeys = hotkeyManager.getHotkeys(key);
+
+        setting.addButton(button => button
+            .setButtonText(hotkeys.length > 0 ? hotkeys.map(hotkey => hotkeyManager.format(hotkey)).join(', ') : 'Set hotkey')
+            .setTooltip('Click, then press a hotkey for this snippet (Escape cancels)')
+            .onClick(() => hotkeyManager.promptHotkey(key, button.buttonEl, async (hotkey) => {
+                await hotkeyManager.setHotkey(key, hotkey);
+                new Notice(`${hotkeyManager.format(hotkey)} now inserts "${key}"`);
+                this.display();
+            })));
+
+        if (hotkeys.length > 0) {
+            setting.addExtraButton(button => button
+                .setIcon('x')
+                .setTooltip('Remove hotkey')
+                .onClick(async () => {
+                    await hotkeyManager.setHotkey(key, null);
+                    this.display();
+                }));
+        }
     }
 
     /**
@@ -908,13 +5437,8 @@ class InsertiveSettingTab extends PluginSettingTab {
         containerEl.createEl('h4', { text: 'Setting up Hotkeys' });
         containerEl.createDiv('setting-item-description', (el) => {
             el.innerHTML = `
-                <p>To assign hotkeys to your snippets:</p>
-                <ol>
-                    <li>Go to <strong>Settings → Hotkeys</strong></li>
-                    <li>Search for "Insert Snippet"</li>
-                    <li>Find the snippet you want to bind</li>
-                    <li>Click the + button and press your desired key combination</li>
-                </ol>
+                <p>To assign a hotkey to a snippet, click its <strong>Set hotkey</strong> button (or the Hotkey field in its edit dialog) and press the key combination. You are asked before a hotkey already used by another command is reassigned, and the hotkey stays with the snippet when its key is renamed.</p>
+                <p>Snippet hotkeys also appear in <strong>Settings → Hotkeys</strong> under "Insert Snippet".</p>
                 <p><em>Example: Bind Ctrl+Shift+H to quickly insert your "hello" snippet</em></p>
             `;
         });
@@ -938,8 +5462,14 @@ class InsertiveSettingTab extends PluginSettingTab {
             return;
         }
 
+        const includeValidation = SnippetValidator.validateIncludes(key, value, (include) => this.plugin.getSnippet(include)?.body);
+        if (!includeValidation.isValid) {
+            new Notice(includeValidation.message);
+            return;
+        }
+
         // If key exists, ask for confirmation
-        if (this.plugin.settings.snippets[key]) {
+        if (this.plugin.findSnippetRecord(key)) {
             new ConfirmModal(this.app, 
                 `Snippet "${key}" already exists. Replace it?`,
                 async () => {
@@ -958,11 +5488,7 @@ class InsertiveSettingTab extends PluginSettingTab {
      * @param {string} value - The snippet value
      */
     async addNewSnippet(key, value) {
-        this.plugin.settings.snippets[key] = value;
-        if (!this.plugin.settings.icons) this.plugin.settings.icons = {};
-        this.plugin.settings.icons[key] = CONSTANTS.DEFAULT_ICON;
-        if (!this.plugin.settings.groups) this.plugin.settings.groups = {};
-        this.plugin.settings.groups[key] = '';
+        this.plugin.settings.snippets.push(SnippetRecord.create({ key, body: value }));
 
         await this.plugin.saveSettings();
         new Notice(`Added snippet: ${key}`);
@@ -975,8 +5501,10 @@ class InsertiveSettingTab extends PluginSettingTab {
      * @param {string} value - The snippet value
      */
     async replaceSnippet(key, value) {
-        this.plugin.settings.snippets[key] = value;
-        // Keep existing icon and group
+        const snippet = this.plugin.findSnippetRecord(key);
+        SnippetHistory.record(this.plugin.settings, snippet, { ...snippet, body: value });
+        snippet.body = value;
+        // Keep existing icon, group and trigger
         await this.plugin.saveSettings();
         new Notice(`Replaced snippet: ${key}`);
         this.resetAndRefresh();
@@ -991,21 +5519,62 @@ class InsertiveSettingTab extends PluginSettingTab {
     }
 
     /**
-     * Handle deleting a snippet with cleanup
-     * @param {string} key - The snippet key to delete
+     * Enable or disable a snippet
+     * @param {object} snippet - The snippet record
+     * @param {boolean} enabled - Whether the snippet should be enabled
      */
-    async handleDeleteSnippet(key) {
-        delete this.plugin.settings.snippets[key];
-        // Also delete the icon setting
-        if (this.plugin.settings.icons && this.plugin.settings.icons[key]) {
-            delete this.plugin.settings.icons[key];
+    async handleToggleEnabled(snippet, enabled) {
+        if (enabled) {
+            delete snippet.disabled;
+        } else {
+            snippet.disabled = true;
         }
-        // Also delete the group setting
-        if (this.plugin.settings.groups && this.plugin.settings.groups[key]) {
-            delete this.plugin.settings.groups[key];
+        // Save through saveSettings so the snippet's command is added or removed
+        await this.plugin.saveSettings();
+        this.display();
+    }
+
+    /**
+     * Pin or unpin a snippet
+     * @param {object} snippet - The snippet record
+     */
+    async handleTogglePinned(snippet) {
+        if (snippet.pinned) {
+            delete snippet.pinned;
+        } else {
+            snippet.pinned = true;
         }
+        await this.plugin.saveData(this.plugin.settings);
+        this.plugin.updatePinnedStatusBar();
+        this.display();
+    }
+
+    /**
+     * Handle deleting a snippet by moving it to the trash
+     * @param {object} snippet - The snippet record to delete
+     */
+    async handleDeleteSnippet(snippet) {
+        // The command goes away with the snippet, so keep its hotkeys with the trashed record
+        const hotkeys = await this.plugin.hotkeyManager.takeHotkeys(snippet.key);
+        SnippetHistory.trash(this.plugin.settings, snippet, hotkeys);
+        await this.plugin.saveSettings();
+        new Notice(`Moved "${snippet.key}" to the trash`);
+        this.display();
+    }
+
+    /**
+     * Handle restoring a snippet from the trash
+     * @param {object} snippet - The deleted snippet record
+     */
+    async handleRestoreSnippet(snippet) {
+        const restored = SnippetHistory.restore(this.plugin.settings, snippet.id);
+        if (!restored) return;
+
         await this.plugin.saveSettings();
-        new Notice(`Deleted snippet: ${key}`);
+        await this.plugin.hotkeyManager.restoreHotkeys(restored.key, snippet.hotkeys);
+        new Notice(restored.key === snippet.key
+            ? `Restored snippet: ${restored.key}`
+            : `Restored "${snippet.key}" as "${restored.key}" because the key is in use`);
         this.display();
     }
 }
@@ -1026,6 +5595,13 @@ class InsertivePlugin extends Plugin {
             // Initialize managers
             this.commandManager = new CommandManager(this);
             this.contextMenuManager = new ContextMenuManager(this);
+            this.folderStore = new FolderSnippetStore(this);
+            this.tabStopManager = new TabStopManager(this);
+            this.triggerManager = new TriggerManager(this);
+            this.hotkeyManager = new HotkeyManager(this);
+            
+            // Status bar item for pinned snippets, only present while a snippet is pinned
+            this.pinnedStatusBarItem = null;
             
             // Load settings
             await this.loadSettings();
@@ -1036,6 +5612,12 @@ class InsertivePlugin extends Plugin {
             // Register dynamic commands
             this.commandManager.registerSnippetCommands();
             
+            // Load folder snippets once the vault is indexed
+            this.app.workspace.onLayoutReady(async () => {
+                await this.folderStore.reload();
+                this.folderStore.registerEvents();
+            });
+            
             console.log('Insertive plugin loaded successfully');
         } catch (error) {
             console.error('Insertive plugin failed to load:', error);
@@ -1050,44 +5632,414 @@ class InsertivePlugin extends Plugin {
         // Add settings tab
         this.addSettingTab(new InsertiveSettingTab(this.app, this));
 
+        // Register trigger expansion and tab stop navigation in the editor
+        // (triggers first, so an abbreviation typed inside a tab stop still expands on Tab)
+        this.registerEditorExtension(this.triggerManager.getExtensions());
+        this.registerEditorExtension(this.tabStopManager.getExtensions());
+
+        // Register inline snippet suggestions
+        this.registerEditorSuggest(new SnippetSuggest(this.app, this));
+
+        // Register the snippet picker command
+        this.addCommand({
+            id: CONSTANTS.PICKER_COMMAND_ID,
+            name: 'Insert snippet…',
+            editorCallback: (editor) => {
+                new SnippetPickerModal(this.app, this, editor).open();
+            }
+        });
+
         // Register context menu handler
         this.registerEvent(
             this.app.workspace.on('editor-menu', (menu, editor, view) => {
-                this.contextMenuManager.addContextMenu(menu, editor);
+                this.contextMenuManager.addContextMenu(menu, editor, view?.file);
             })
         );
+
+        // Pinned snippets from the ribbon and the status bar (desktop only)
+        this.addRibbonIcon(CONSTANTS.PINNED_ICON, 'Insert pinned snippet', (evt) => {
+            this.contextMenuManager.showPinnedMenu(evt);
+        });
+
+        this.updatePinnedStatusBar();
+    }
+
+    /**
+     * Show the pinned snippets status bar item while an enabled snippet is pinned, and remove
+     * it when none is, so an empty item is never shown
+     */
+    updatePinnedStatusBar() {
+        const hasPinned = this.getSnippetKeys()
+            .some(key => this.isSnippetEnabled(key) && this.getSnippet(key).pinned);
+
+        if (hasPinned && !this.pinnedStatusBarItem) {
+            this.pinnedStatusBarItem = this.addStatusBarItem();
+            this.pinnedStatusBarItem.addClass('mod-clickable');
+            this.pinnedStatusBarItem.setAttribute('aria-label', 'Insert pinned snippet');
+            IconRenderer.renderIcon(this.pinnedStatusBarItem, CONSTANTS.PINNED_ICON);
+            this.pinnedStatusBarItem.addEventListener('click', (evt) => {
+                this.contextMenuManager.showPinnedMenu(evt);
+            });
+        } else if (!hasPinned && this.pinnedStatusBarItem) {
+            this.pinnedStatusBarItem.remove();
+            this.pinnedStatusBarItem = null;
+        }
+    }
+
+    /**
+     * Get all available snippet keys: settings snippets in settings order, then folder snippets
+     * Folder snippets whose key is already used in settings are shadowed
+     * @returns {string[]} Array of snippet keys
+     */
+    getSnippetKeys() {
+        const keys = this.settings.snippets.map(snippet => snippet.key);
+        const folderKeys = Object.keys(this.folderStore?.snippets || {})
+            .filter(key => !keys.includes(key));
+        return keys.concat(folderKeys);
+    }
+
+    /**
+     * Get all available snippets: settings snippets in settings order, then folder snippets
+     * @returns {object[]} Snippet records
+     */
+    getSnippets() {
+        return this.getSnippetKeys().map(key => this.getSnippet(key));
+    }
+
+    /**
+     * Look up a snippet from settings or the snippet folder
+     * @param {string} key - The snippet key
+     * @returns {{id: string, key: string, body: string, icon: string, group: string, trigger: string, path?: string}|null} The snippet, or null if not found
+     */
+    getSnippet(key) {
+        return this.findSnippetRecord(key) || this.folderStore?.snippets?.[key] || null;
+    }
+
+    /**
+     * Collect what snippet scopes are matched against: the note's path, tags and frontmatter
+     * and the cursor contexts
+     * @param {Editor} editor - The editor
+     * @param {TFile} [file] - The note being edited (defaults to the active note)
+     * @returns {{path: string, tags: string[], frontmatter: object, contexts: Set<string>}} Scope context
+     */
+    getScopeContext(editor, file) {
+        const note = file || this.app.workspace.activeEditor?.file || this.app.workspace.getActiveFile();
+        const cache = note ? this.app.metadataCache.getFileCache(note) : null;
+
+        return {
+            path: note?.path || '',
+            tags: (cache && getAllTags(cache)) || [],
+            frontmatter: cache?.frontmatter || {},
+            contexts: SnippetScope.getCursorContexts(editor)
+        };
+    }
+
+    /**
+     * Check whether a snippet is enabled (disabled snippets are kept but never offered)
+     * A snippet is disabled by its own flag or by a disabled group it is in
+     * @param {string} key - The snippet key
+     * @returns {boolean} True if the snippet exists and is enabled
+     */
+    isSnippetEnabled(key) {
+        const snippet = this.getSnippet(key);
+        return !!snippet && !snippet.disabled && !SnippetGroups.getDisabledAncestor(this.settings.groups, snippet.group);
+    }
+
+    /**
+     * Check whether a snippet is enabled and its scope allows the editor's note and cursor position
+     * @param {string} key - The snippet key
+     * @param {Editor} editor - The editor
+     * @param {TFile} [file] - The note being edited
+     * @returns {boolean} True if the snippet should be offered
+     */
+    isSnippetInScope(key, editor, file) {
+        if (!this.isSnippetEnabled(key)) return false;
+        const scope = this.getSnippet(key).scope;
+        return SnippetScope.isEmpty(scope) || SnippetScope.matches(scope, this.getScopeContext(editor, file));
+    }
+
+    /**
+     * Get the keys of the enabled snippets whose scope allows the editor's note and cursor position
+     * @param {Editor} editor - The editor
+     * @param {TFile} [file] - The note being edited
+     * @returns {string[]} Snippet keys in order
+     */
+    getSnippetKeysInScope(editor, file) {
+        let context = null;
+
+        return this.getSnippetKeys().filter(key => {
+            if (!this.isSnippetEnabled(key)) return false;
+            const scope = this.getSnippet(key).scope;
+            if (SnippetScope.isEmpty(scope)) return true;
+
+            // Only scan the note when some snippet is scoped
+            context = context || this.getScopeContext(editor, file);
+            return SnippetScope.matches(scope, context);
+        });
+    }
+
+    /**
+     * Get a copy of a snippet with its {{> key}} includes expanded
+     * @param {object} snippet - The snippet
+     * @returns {object} The snippet with the expanded body
+     * @throws {Error} If the snippet's includes form a cycle
+     */
+    expandSnippet(snippet) {
+        const body = SnippetProcessor.expandIncludes(snippet.body, (key) => this.getSnippet(key)?.body, [snippet.key]);
+        return { ...snippet, body };
+    }
+
+    /**
+     * Get the snippets (settings and folder) that include a snippet directly
+     * @param {string} key - The included snippet key
+     * @returns {object[]} The including snippets
+     */
+    getIncludingSnippets(key) {
+        return [...this.settings.snippets, ...Object.values(this.folderStore?.snippets || {})]
+            .filter(snippet => snippet.key !== key && SnippetProcessor.findIncludes(snippet.body).includes(key));
+    }
+
+    /**
+     * Update every {{> oldKey}} include to {{> newKey}}, in settings snippets and snippet files
+     * @param {string} oldKey - The previous snippet key
+     * @param {string} newKey - The new snippet key
+     * @returns {Promise<number>} Number of snippets updated
+     */
+    async renameIncludes(oldKey, newKey) {
+        const includers = this.getIncludingSnippets(oldKey);
+
+        for (const snippet of includers) {
+            if (snippet.path) {
+                const file = this.app.vault.getAbstractFileByPath(snippet.path);
+                if (file) {
+                    await this.app.vault.process(file, (content) => SnippetProcessor.renameIncludes(content, oldKey, newKey));
+                }
+            } else {
+                snippet.body = SnippetProcessor.renameIncludes(snippet.body, oldKey, newKey);
+            }
+        }
+
+        await this.saveSettings();
+        return includers.length;
+    }
+
+    /**
+     * Find a snippet record stored in settings (folder snippets are not included)
+     * @param {string} key - The snippet key
+     * @returns {object|undefined} The snippet record, or undefined if not found
+     */
+    findSnippetRecord(key) {
+        return this.settings.snippets.find(snippet => snippet.key === key);
+    }
+
+    /**
+     * Insert a snippet at the editor selection, processing placeholders against the selected text
+     * With several selections (multi-cursor), each one gets its own copy processed with its own text
+     * Shared by the command palette, context menu, snippet picker, typed triggers and inline suggestions
+     * @param {Editor} editor - The editor to insert into
+     * @param {string} key - The snippet key
+     * @param {{from: EditorPosition, to: EditorPosition}} [range] - Range to replace instead of
+     *     the selection (e.g. a typed abbreviation); its text is not used for placeholders
+     */
+    async insertSnippet(editor, key, range) {
+        const stored = this.getSnippet(key);
+        if (!stored) {
+            new Notice(`Snippet "${key}" no longer exists.`);
+            return;
+        }
+
+        let snippet;
+        try {
+            snippet = this.expandSnippet(stored);
+        } catch (error) {
+            new Notice(error.message);
+            return;
+        }
+
+        if (range) {
+            editor.setSelection(range.from, range.to);
+        }
+
+        const selections = this.getSelections(editor, !!range);
+        const variableValues = await this.resolveVariables(snippet.body);
+        const placeholders = SnippetProcessor.extractNamedPlaceholders(snippet.body);
+
+        // Prompt for named placeholders when a selection has no text to fill them from
+        if (selections.some(selection => !selection.text) && placeholders.length > 0) {
+            new PlaceholderPromptModal(this.app, key, placeholders, (values) => {
+                this.applySnippet(editor, snippet, selections, { ...variableValues, ...values });
+                editor.focus();
+            }).open();
+            return;
+        }
+
+        this.applySnippet(editor, snippet, selections, variableValues);
+    }
+
+    /**
+     * Get the editor selections in document order
+     * @param {Editor} editor - The editor
+     * @param {boolean} ignoreText - Whether the selected text should not fill placeholders (e.g. a typed abbreviation)
+     * @returns {{from: EditorPosition, to: EditorPosition, text: string}[]} Selections with their text
+     */
+    getSelections(editor, ignoreText) {
+        return editor.listSelections()
+            .map(({ anchor, head }) => {
+                const [from, to] = editor.posToOffset(anchor) <= editor.posToOffset(head) ? [anchor, head] : [head, anchor];
+                return { from, to, text: ignoreText ? '' : editor.getRange(from, to) };
+            })
+            .sort((a, b) => editor.posToOffset(a.from) - editor.posToOffset(b.from));
+    }
+
+    /**
+     * Resolve the built-in variables used in a snippet against the active note
+     * @param {string} text - The snippet text
+     * @returns {Promise<Object<string, string>>} Values keyed by variable token
+     */
+    async resolveVariables(text) {
+        const file = this.app.workspace.activeEditor?.file || this.app.workspace.getActiveFile();
+        return SnippetVariables.resolve(text, { app: this.app, file });
+    }
+
+    /**
+     * Process a snippet for each selection and replace the selections with the results
+     * Named placeholders are filled from each selection's text where it has one
+     * @param {Editor} editor - The editor to insert into
+     * @param {{key: string, body: string}} snippet - The snippet to insert
+     * @param {{from: EditorPosition, to: EditorPosition, text: string}[]} selections - Selections from getSelections
+     * @param {Object<string, string>} values - Values for built-in variables and prompted named placeholders
+     */
+    applySnippet(editor, snippet, selections, values) {
+        const rendered = selections.map(selection => SnippetProcessor.renderSnippet(snippet.body, selection.text, {
+            ...values,
+            ...SnippetProcessor.namedValuesFromSelection(snippet.body, selection.text, snippet)
+        }, snippet));
+
+        if (selections.length === 1) {
+            const { text, stops } = rendered[0];
+            const offset = editor.posToOffset(selections[0].from);
+
+            editor.replaceSelection(text);
+            if (stops.length > 0) {
+                this.tabStopManager.start(editor, offset, text.length, stops);
+            }
+        } else {
+            this.applyToSelections(editor, selections, rendered);
+        }
+
+        this.recordUsage(snippet);
+
+        if (DEBUG) {
+            new Notice(`Inserted: ${snippet.key}`);
+        }
+    }
+
+    /**
+     * Count an insertion of a snippet and remember when it happened
+     * Usage is keyed by snippet id, so it survives key renames
+     * @param {{id: string}} snippet - The inserted snippet
+     */
+    async recordUsage(snippet) {
+        const usage = this.getUsage(snippet);
+        this.settings.usage[snippet.id] = { count: usage.count + 1, lastUsed: Date.now() };
+
+        try {
+            await this.saveData(this.settings);
+        } catch (error) {
+            console.error('Insertive: Failed to save usage statistics:', error);
+        }
+    }
+
+    /**
+     * Get a snippet's usage statistics
+     * @param {{id: string}} snippet - The snippet
+     * @returns {{count: number, lastUsed: number}} Insertion count and last insertion time (0 if never)
+     */
+    getUsage(snippet) {
+        return this.settings.usage[snippet.id] || { count: 0, lastUsed: 0 };
     }
 
     /**
-     * Load plugin settings from Obsidian's data store with validation
+     * Check whether a snippet counts as unused: never inserted, or not recently
+     * @param {{count: number, lastUsed: number}} usage - The snippet's usage
+     * @returns {boolean} True if the snippet is unused
+     */
+    isUnused(usage) {
+        return usage.count === 0 || Date.now() - usage.lastUsed > CONSTANTS.UNUSED_AFTER_DAYS * 24 * 60 * 60 * 1000;
+    }
+
+    /**
+     * Replace several selections in one transaction (a single undo step), then put a cursor
+     * on each copy's first tab stop, or after it when it has none
+     * @param {Editor} editor - The editor to insert into
+     * @param {{from: EditorPosition, to: EditorPosition}[]} selections - Selections in document order
+     * @param {{text: string, stops: {from: number, to: number}[]}[]} rendered - Rendered snippet for each selection
+     */
+    applyToSelections(editor, selections, rendered) {
+        const offsets = selections.map(selection => ({
+            from: editor.posToOffset(selection.from),
+            to: editor.posToOffset(selection.to)
+        }));
+
+        editor.transaction({
+            changes: selections.map((selection, index) => ({
+                from: selection.from,
+                to: selection.to,
+                text: rendered[index].text
+            }))
+        });
+
+        // Offsets of later copies shift by the length change of the earlier ones
+        let shift = 0;
+        const cursors = offsets.map(({ from, to }, index) => {
+            const { text, stops } = rendered[index];
+            const start = from + shift;
+            shift += text.length - (to - from);
+            return stops.length > 0
+                ? { from: start + stops[0].from, to: start + stops[0].to }
+                : { from: start + text.length, to: start + text.length };
+        });
+
+        editor.setSelections(cursors.map(cursor => ({
+            anchor: editor.offsetToPos(cursor.from),
+            head: editor.offsetToPos(cursor.to)
+        })));
+    }
+
+    /**
+     * Load plugin settings from Obsidian's data store, migrating older schema versions
      */
     async loadSettings() {
         try {
-            const loadedData = await this.loadData();
-            this.settings = Object.assign({}, CONSTANTS.DEFAULT_SETTINGS, loadedData);
+            let loadedData = await this.loadData();
             
-            // Ensure icons object exists for backward compatibility
-            if (!this.settings.icons) {
-                this.settings.icons = {};
-                // Initialize icons for existing snippets
-                Object.keys(this.settings.snippets).forEach(key => {
-                    this.settings.icons[key] = CONSTANTS.DEFAULT_ICON;
-                });
-                await this.saveData(this.settings);
+            if (SettingsMigrator.needsMigration(loadedData)) {
+                await this.backupSettings(loadedData);
+                loadedData = SettingsMigrator.migrate(loadedData);
+                await this.saveData(loadedData);
             }
             
-            // Ensure groups object exists for backward compatibility
-            if (!this.settings.groups) {
-                this.settings.groups = {};
-                // Initialize groups for existing snippets (empty string = no group)
-                Object.keys(this.settings.snippets).forEach(key => {
-                    this.settings.groups[key] = '';
-                });
-                await this.saveData(this.settings);
-            }
+            this.settings = Object.assign(structuredClone(CONSTANTS.DEFAULT_SETTINGS), loadedData);
         } catch (error) {
             console.error('Insertive: Error loading settings:', error);
-            this.settings = { ...CONSTANTS.DEFAULT_SETTINGS };
+            this.settings = structuredClone(CONSTANTS.DEFAULT_SETTINGS);
+        }
+    }
+
+    /**
+     * Write a copy of the stored settings next to data.json before migrating them
+     * A failed backup is logged but does not block the migration
+     * @param {object} data - The stored settings data
+     */
+    async backupSettings(data) {
+        const version = SettingsMigrator.getVersion(data);
+        const backupPath = normalizePath(`${this.manifest.dir}/data.v${version}.backup.json`);
+        
+        try {
+            await this.app.vault.adapter.write(backupPath, JSON.stringify(data, null, 2));
+            console.log(`Insertive: Backed up settings to ${backupPath} before migrating`);
+        } catch (error) {
+            console.error('Insertive: Error backing up settings:', error);
         }
     }
 
@@ -1096,10 +6048,16 @@ class InsertivePlugin extends Plugin {
      */
     async saveSettings() {
         try {
+            // Keep a group record for every group path in use
+            this.settings.groups = SnippetGroups.sync(
+                this.settings.groups,
+                this.settings.snippets.map(snippet => snippet.group)
+            );
             await this.saveData(this.settings);
             
             // Re-register commands to reflect changes
             this.commandManager.registerSnippetCommands();
+            this.updatePinnedStatusBar();
         } catch (error) {
             console.error('Insertive: Error saving settings:', error);
             new Notice('Failed to save Insertive settings');
@@ -1123,6 +6081,26 @@ class InsertivePlugin extends Plugin {
             this.contextMenuManager = null;
         }
         
+        if (this.folderStore) {
+            this.folderStore.destroy();
+            this.folderStore = null;
+        }
+        
+        if (this.tabStopManager) {
+            this.tabStopManager.destroy();
+            this.tabStopManager = null;
+        }
+        
+        if (this.triggerManager) {
+            this.triggerManager.destroy();
+            this.triggerManager = null;
+        }
+        
+        if (this.hotkeyManager) {
+            this.hotkeyManager.destroy();
+            this.hotkeyManager = null;
+        }
+        
         // Clear settings reference
         this.settings = null;
         
@@ -1130,5 +6108,21 @@ class InsertivePlugin extends Plugin {
     }
 }
 
-// Export the plugin class
-module.exports = InsertivePlugin;
\ No newline at end of file
+// Export the plugin class, with its building blocks for the test suite
+module.exports = InsertivePlugin;
+Object.assign(module.exports, {
+    CONSTANTS,
+    SnippetValidator,
+    SnippetRecord,
+    SnippetScope,
+    SettingsMigrator,
+    SnippetGroups,
+    SnippetHistory,
+    SnippetProcessor,
+    SnippetVariables,
+    TabStops,
+    SnippetLibrary,
+    CommandManager,
+    HotkeyManager,
+    ContextMenuManager
+});
\ No newline at end of file
@@ -0,0 +1,69 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Insertive, obsidian } = require('./setup');
+
+const { CommandManager, CONSTANTS } = Insertive;
+
+describe('CommandManager', () => {
+    let plugin;
+    let manager;
+
+    beforeEach(() => {
+        plugin = new obsidian.Plugin();
+        plugin.keys = ['greet', 'list-test'];
+        plugin.disabled = new Set();
+        plugin.inserted = [];
+        plugin.getSnippetKeys = () => plugin.keys;
+        plugin.isSnippetEnabled = (key) => !plugin.disabled.has(key);
+        plugin.isSnippetInScope = (key) => key !== 'list-test';
+        plugin.insertSnippet = (editor, key) => plugin.inserted.push(key);
+        manager = new CommandManager(plugin);
+    });
+
+    const commandIds = () => Object.keys(plugin.app.commands.commands);
+
+    it('registers one command per snippet', () => {
+        manager.registerSnippetCommands();
+
+        assert.deepEqual(commandIds(), [
+            `insertive:${CONSTANTS.COMMAND_PREFIX}greet`,
+            `insertive:${CONSTANTS.COMMAND_PREFIX}list-test`
+        ]);
+        assert.equal(plugin.app.commands.commands[`insertive:${CONSTANTS.COMMAND_PREFIX}greet`].name, 'Insert Snippet: greet');
+    });
+
+    it('removes commands of deleted snippets when re-registering', () => {
+        manager.registerSnippetCommands();
+        plugin.keys = ['greet'];
+        manager.registerSnippetCommands();
+
+        assert.deepEqual(commandIds(), [`insertive:${CONSTANTS.COMMAND_PREFIX}greet`]);
+    });
+
+    it('skips disabled snippets', () => {
+        plugin.disabled.add('greet');
+        manager.registerSnippetCommands();
+
+        assert.deepEqual(commandIds(), [`insertive:${CONSTANTS.COMMAND_PREFIX}list-test`]);
+    });
+
+    it('removes every command on destroy', () => {
+        manager.registerSnippetCommands();
+        manager.destroy();
+
+        assert.deepEqual(commandIds(), []);
+    });
+
+    it('only offers and inserts snippets in scope', () => {
+        manager.registerSnippetCommands();
+        const [greet, listTest] = Object.values(plugin.app.commands.commands);
+        const editor = new obsidian.Editor();
+
+        assert.equal(greet.editorCheckCallback(true, editor, {}), true);
+        assert.equal(listTest.editorCheckCallback(true, editor, {}), false);
+        assert.deepEqual(plugin.inserted, []);
+
+        greet.editorCheckCallback(false, editor, {});
+        assert.deepEqual(plugin.inserted, ['greet']);
+    });
+});
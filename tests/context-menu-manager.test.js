@@ -0,0 +1,134 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Insertive, obsidian, createPlugin } = require('./setup');
+
+const { SnippetRecord, CONSTANTS } = Insertive;
+
+/**
+ * Create a plugin with snippets in nested groups
+ * @param {object} [settings] - Extra settings
+ */
+function createMenuPlugin(settings = {}) {
+    return createPlugin({
+        ...CONSTANTS.DEFAULT_SETTINGS,
+        snippets: [
+            SnippetRecord.create({ key: 'standup', body: 'standup', group: 'Work/Meetings' }),
+            SnippetRecord.create({ key: 'hello', body: 'Hello {1}', icon: 'hand' }),
+            SnippetRecord.create({ key: 'todo', body: '- [ ] ', group: 'Work' }),
+            SnippetRecord.create({ key: 'sig', body: '-- Ann', pinned: true }),
+            SnippetRecord.create({ key: 'fence', body: '```', scope: { contexts: ['codeblock'] } })
+        ],
+        groups: [
+            { path: 'Work', icon: 'briefcase' },
+            { path: 'Work/Meetings', icon: CONSTANTS.DEFAULT_GROUP_ICON }
+        ],
+        ...settings
+    });
+}
+
+/**
+ * Describe a menu as nested arrays of titles, with "---" for separators
+ * @param {Menu} menu - The menu
+ */
+function titles(menu) {
+    return menu.items.map(item => {
+        if (item.separator) return '---';
+        return item.submenu ? { [item.title]: titles(item.submenu) } : item.title;
+    });
+}
+
+/**
+ * Open the Insertive context menu and return its submenu
+ * @param {InsertivePlugin} plugin - The plugin
+ * @param {Editor} editor - The editor
+ */
+function openSubmenu(plugin, editor) {
+    const menu = new obsidian.Menu();
+    plugin.contextMenuManager.addContextMenu(menu, editor);
+    return menu.items[0].submenu;
+}
+
+describe('ContextMenuManager', () => {
+    it('lists pinned snippets first, then ungrouped snippets, then nested group submenus', async () => {
+        const plugin = await createMenuPlugin();
+        const submenu = openSubmenu(plugin, new obsidian.Editor('text'));
+
+        assert.deepEqual(titles(submenu), [
+            'sig',
+            '---',
+            'hello',
+            'sig',
+            '---',
+            { Work: ['todo', '---', { Meetings: ['standup'] }] },
+            '---',
+            'Manage Snippets...'
+        ]);
+    });
+
+    it('uses the snippet and group icons', async () => {
+        const plugin = await createMenuPlugin();
+        const submenu = openSubmenu(plugin, new obsidian.Editor('text'));
+        const work = submenu.items.find(item => item.title === 'Work');
+
+        assert.equal(submenu.items.find(item => item.title === 'hello').icon, 'hand');
+        assert.equal(work.icon, 'briefcase');
+    });
+
+    it('only lists snippets in scope for the cursor position', async () => {
+        const plugin = await createMenuPlugin();
+        const editor = new obsidian.Editor('```js\ncode', [[8, 8]]);
+
+        assert.ok(titles(openSubmenu(plugin, editor)).includes('fence'));
+        assert.ok(!titles(openSubmenu(plugin, new obsidian.Editor('text'))).includes('fence'));
+    });
+
+    it('leaves out disabled snippets', async () => {
+        const plugin = await createMenuPlugin();
+        plugin.getSnippet('hello').disabled = true;
+
+        assert.ok(!titles(openSubmenu(plugin, new obsidian.Editor('text'))).includes('hello'));
+    });
+
+    it('leaves out the snippets of disabled groups', async () => {
+        const plugin = await createMenuPlugin();
+        plugin.settings.groups[1].disabled = true;
+
+        assert.deepEqual(titles(openSubmenu(plugin, new obsidian.Editor('text'))).at(-3), { Work: ['todo'] });
+        assert.equal(plugin.isSnippetEnabled('standup'), false);
+        assert.equal(plugin.isSnippetEnabled('todo'), true);
+    });
+
+    it('adds a recent section when enabled', async () => {
+        const plugin = await createMenuPlugin({ menuShowRecent: true });
+        const [standup, hello] = plugin.settings.snippets;
+        plugin.settings.usage = {
+            [standup.id]: { count: 1, lastUsed: 200 },
+            [hello.id]: { count: 5, lastUsed: 100 }
+        };
+
+        assert.deepEqual(titles(openSubmenu(plugin, new obsidian.Editor('text'))).slice(2, 6), ['Recent', 'standup', 'hello', '---']);
+    });
+
+    it('shows a disabled item when no snippets are available', async () => {
+        const plugin = await createMenuPlugin({ snippets: [] });
+        const menu = new obsidian.Menu();
+        plugin.contextMenuManager.addContextMenu(menu, new obsidian.Editor());
+
+        assert.equal(menu.items[0].title, 'Insertive');
+        assert.equal(menu.items[0].disabled, true);
+        assert.equal(menu.items[0].submenu, null);
+    });
+
+    it('inserts the processed snippet when an item is clicked', async () => {
+        const plugin = await createMenuPlugin();
+        const editor = new obsidian.Editor('Plankton', [[0, 8]]);
+        const item = openSubmenu(plugin, editor).items.find(menuItem => menuItem.title === 'hello');
+
+        // The click handler starts the insertion without waiting for it
+        item.callback();
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.equal(editor.getValue(), 'Hello Plankton');
+        assert.equal(plugin.getUsage(plugin.getSnippet('hello')).count, 1);
+    });
+});
@@ -0,0 +1,100 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Insertive, obsidian } = require('./setup');
+
+const { HotkeyManager, CONSTANTS } = Insertive;
+
+describe('HotkeyManager', () => {
+    let plugin;
+    let manager;
+
+    const commandId = (key) => `insertive:${CONSTANTS.COMMAND_PREFIX}${key}`;
+
+    beforeEach(() => {
+        plugin = new obsidian.Plugin();
+        manager = new HotkeyManager(plugin);
+    });
+
+    it('binds and removes a hotkey on the snippet command', async () => {
+        const hotkey = { modifiers: ['Mod', 'Shift'], key: 'H' };
+        await manager.setHotkey('hello', hotkey);
+        assert.deepEqual(manager.getHotkeys('hello'), [hotkey]);
+
+        await manager.setHotkey('hello', null);
+        assert.deepEqual(manager.getHotkeys('hello'), []);
+        assert.equal(plugin.app.hotkeyManager.saved, 2);
+    });
+
+    it('moves custom hotkeys to the new command id on rename', async () => {
+        const hotkey = { modifiers: ['Alt'], key: 'C' };
+        await manager.setHotkey('callout', hotkey);
+        await manager.renameHotkeys('callout', 'note-callout');
+
+        assert.deepEqual(plugin.app.hotkeyManager.customKeys, { [commandId('note-callout')]: [hotkey] });
+    });
+
+    it('leaves hotkeys alone when the renamed snippet had none', async () => {
+        await manager.renameHotkeys('callout', 'note-callout');
+
+        assert.deepEqual(plugin.app.hotkeyManager.customKeys, {});
+        assert.equal(plugin.app.hotkeyManager.saved, 0);
+    });
+
+    it('takes hotkeys off a trashed snippet and gives them back on restore', async () => {
+        const hotkey = { modifiers: ['Mod'], key: 'T' };
+        await manager.setHotkey('todo', hotkey);
+
+        const taken = await manager.takeHotkeys('todo');
+        assert.deepEqual(taken, [hotkey]);
+        assert.deepEqual(plugin.app.hotkeyManager.customKeys, {});
+        assert.equal(await manager.takeHotkeys('todo'), null);
+
+        await manager.restoreHotkeys('todo-restored', taken);
+        assert.deepEqual(plugin.app.hotkeyManager.customKeys, { [commandId('todo-restored')]: [hotkey] });
+    });
+
+    it('detaches hotkeys without saving', async () => {
+        await manager.setHotkey('a', { modifiers: ['Mod'], key: 'A' });
+        await manager.setHotkey('b', { modifiers: ['Mod'], key: 'B' });
+        const saved = plugin.app.hotkeyManager.saved;
+
+        assert.equal(manager.detachHotkeys('a').length, 1);
+        assert.equal(manager.detachHotkeys('b').length, 1);
+        assert.equal(manager.detachHotkeys('c'), null);
+        assert.deepEqual(plugin.app.hotkeyManager.customKeys, {});
+        assert.equal(plugin.app.hotkeyManager.saved, saved);
+    });
+
+    it('finds other commands using a hotkey, ignoring the snippet itself', async () => {
+        plugin.addCommand({ id: 'other', name: 'Other: default', hotkeys: [{ modifiers: ['Mod'], key: 'b' }] });
+        plugin.addCommand({ id: 'custom', name: 'Other: custom' });
+        plugin.addCommand({ id: `${CONSTANTS.COMMAND_PREFIX}bold`, name: 'Insert Snippet: bold' });
+        plugin.app.hotkeyManager.setHotkeys('insertive:custom', [{ modifiers: ['Shift', 'Mod'], key: 'B' }]);
+        await manager.setHotkey('bold', { modifiers: ['Mod'], key: 'B' });
+
+        assert.deepEqual(manager.findConflicts({ modifiers: ['Mod'], key: 'B' }, 'bold'), ['Other: default']);
+        assert.deepEqual(manager.findConflicts({ modifiers: ['Mod', 'Shift'], key: 'B' }, 'bold'), ['Other: custom']);
+        assert.deepEqual(manager.findConflicts({ modifiers: ['Alt'], key: 'B' }, 'bold'), []);
+    });
+
+    it('formats hotkeys for display', () => {
+        assert.equal(manager.format({ modifiers: ['Mod', 'Shift'], key: 'h' }), 'Ctrl + Shift + H');
+        assert.equal(manager.format({ modifiers: [], key: 'F5' }), 'F5');
+    });
+
+    describe('fromEvent', () => {
+        it('reads modifiers and the physical key', () => {
+            const evt = { key: '!', code: 'Digit1', ctrlKey: true, shiftKey: true };
+            assert.deepEqual(manager.fromEvent(evt), { modifiers: ['Mod', 'Shift'], key: '1' });
+        });
+
+        it('ignores lone modifier keys', () => {
+            assert.equal(manager.fromEvent({ key: 'Shift', code: 'ShiftLeft', shiftKey: true }), null);
+        });
+
+        it('requires a modifier except for function keys', () => {
+            assert.equal(manager.fromEvent({ key: 'h', code: 'KeyH' }), null);
+            assert.deepEqual(manager.fromEvent({ key: 'F2', code: 'F2' }), { modifiers: [], key: 'F2' });
+        });
+    });
+});
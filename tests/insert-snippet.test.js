@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { obsidian, createPlugin } = require('./setup');
+
+describe('InsertivePlugin.insertSnippet', () => {
+    it('replaces the selection with the processed snippet', async () => {
+        const plugin = await createPlugin(null);
+        const editor = new obsidian.Editor('Plankton', [[0, 8]]);
+
+        await plugin.insertSnippet(editor, 'greet');
+
+        assert.equal(editor.getValue(), 'Hello Plankton (from Insertive)');
+    });
+
+    it('processes each selection separately', async () => {
+        const plugin = await createPlugin(null);
+        const editor = new obsidian.Editor('Ann and Bob', [[8, 11], [0, 3]]);
+
+        await plugin.insertSnippet(editor, 'greet');
+
+        assert.equal(editor.getValue(), 'Hello Ann (from Insertive) and Hello Bob (from Insertive)');
+        assert.equal(editor.listSelections().length, 2);
+    });
+
+    it('shows a notice for a snippet that no longer exists', async () => {
+        const plugin = await createPlugin(null);
+        const editor = new obsidian.Editor('text');
+
+        await plugin.insertSnippet(editor, 'gone');
+
+        assert.equal(editor.getValue(), 'text');
+        assert.equal(obsidian.Notice.messages.at(-1), 'Snippet "gone" no longer exists.');
+    });
+});
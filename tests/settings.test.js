@@ -0,0 +1,115 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Insertive, createPlugin } = require('./setup');
+
+const { SettingsMigrator, SnippetProcessor, CONSTANTS } = Insertive;
+
+const VERSION_1_DATA = {
+    snippets: { greet: 'Hello {1}', standup: '- Yesterday:' },
+    icons: { greet: 'hand' },
+    groups: { standup: '/Work//Meetings/' },
+    triggers: { greet: 'hi' },
+    triggerPrefix: ':'
+};
+
+describe('SettingsMigrator', () => {
+    it('treats data without a schema version as version 1', () => {
+        assert.equal(SettingsMigrator.getVersion(VERSION_1_DATA), 1);
+        assert.equal(SettingsMigrator.needsMigration(VERSION_1_DATA), true);
+        assert.equal(SettingsMigrator.needsMigration(null), false);
+        assert.equal(SettingsMigrator.needsMigration(CONSTANTS.DEFAULT_SETTINGS), false);
+    });
+
+    it('turns the parallel maps into ordered snippet records', () => {
+        const migrated = SettingsMigrator.migrate(VERSION_1_DATA);
+
+        assert.equal(migrated.schemaVersion, CONSTANTS.SCHEMA_VERSION);
+        assert.deepEqual(migrated.snippets.map(({ key, body, icon, group, trigger }) => ({ key, body, icon, group, trigger })), [
+            { key: 'greet', body: 'Hello {1}', icon: 'hand', group: '', trigger: 'hi' },
+            { key: 'standup', body: '- Yesterday:', icon: CONSTANTS.DEFAULT_ICON, group: 'Work/Meetings', trigger: '' }
+        ]);
+        assert.ok(migrated.snippets.every(snippet => snippet.id));
+        assert.equal(migrated.icons, undefined);
+        assert.equal(migrated.triggerPrefix, ':');
+    });
+
+    it('keeps a literal dollar amount from turning into a tab stop', () => {
+        const [price] = SettingsMigrator.migrate({ snippets: { price: 'Price: $5 and {1}' } }).snippets;
+
+        assert.equal(SnippetProcessor.renderSnippet(price.body, 'x').text, 'Price: $5 and x');
+    });
+
+    it('keeps core template variables from turning into placeholders', () => {
+        const [note] = SettingsMigrator.migrate({ snippets: { note: '# {{title}}\n{{date:YYYY}} {1}' } }).snippets;
+
+        assert.equal(SnippetProcessor.renderSnippet(note.body, 'x').text, '# {{title}}\n{{date:YYYY}} x');
+        assert.deepEqual(SnippetProcessor.extractNamedPlaceholders(note.body), []);
+    });
+
+    it('creates a group record for every group path and its parents', () => {
+        const migrated = SettingsMigrator.migrate(VERSION_1_DATA);
+        assert.deepEqual(migrated.groups.map(group => group.path), ['Work', 'Work/Meetings']);
+    });
+});
+
+describe('InsertivePlugin.loadSettings', () => {
+    it('uses the default settings on a fresh install', async () => {
+        const plugin = await createPlugin(null);
+        assert.deepEqual(plugin.settings, CONSTANTS.DEFAULT_SETTINGS);
+        assert.notEqual(plugin.settings.snippets, CONSTANTS.DEFAULT_SETTINGS.snippets);
+    });
+
+    it('migrates old data, saves it and keeps a backup of the previous version', async () => {
+        const plugin = await createPlugin(VERSION_1_DATA);
+
+        assert.equal(plugin.settings.schemaVersion, CONSTANTS.SCHEMA_VERSION);
+        assert.deepEqual(plugin.getSnippetKeys(), ['greet', 'standup']);
+        assert.equal(plugin.data.schemaVersion, CONSTANTS.SCHEMA_VERSION);
+        assert.deepEqual(JSON.parse(plugin.app.vault.files['.obsidian/plugins/insertive/data.v1.backup.json']), VERSION_1_DATA);
+    });
+
+    it('fills in settings added since the data was saved', async () => {
+        const { usage, menuShowRecent, ...older } = CONSTANTS.DEFAULT_SETTINGS;
+        const plugin = await createPlugin(older);
+
+        assert.deepEqual(plugin.settings.usage, {});
+        assert.equal(plugin.settings.menuShowRecent, false);
+    });
+
+    it('falls back to the defaults when the data cannot be read', async () => {
+        const plugin = new Insertive();
+        plugin.loadData = async () => { throw new Error('corrupt'); };
+        await plugin.loadSettings();
+
+        assert.deepEqual(plugin.settings, CONSTANTS.DEFAULT_SETTINGS);
+    });
+});
+
+describe('InsertivePlugin.saveSettings', () => {
+    it('saves the data, syncs groups and re-registers commands', async () => {
+        const plugin = await createPlugin(null);
+        plugin.settings.snippets[0].group = 'Work/Daily';
+        await plugin.saveSettings();
+
+        assert.deepEqual(plugin.data.groups.map(group => group.path), ['Work', 'Work/Daily']);
+        assert.deepEqual(Object.keys(plugin.app.commands.commands), [
+            `insertive:${CONSTANTS.COMMAND_PREFIX}hello`,
+            `insertive:${CONSTANTS.COMMAND_PREFIX}greet`
+        ]);
+    });
+
+    it('shows the pinned status bar item only while an enabled snippet is pinned', async () => {
+        const plugin = await createPlugin(null);
+        const [snippet] = plugin.settings.snippets;
+        plugin.updatePinnedStatusBar();
+        assert.equal(plugin.statusBarItems, undefined);
+
+        snippet.pinned = true;
+        await plugin.saveSettings();
+        assert.equal(plugin.statusBarItems.length, 1);
+
+        snippet.disabled = true;
+        await plugin.saveSettings();
+        assert.equal(plugin.statusBarItems.length, 0);
+    });
+});
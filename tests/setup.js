@@ -0,0 +1,38 @@
+/**
+ * Load src/main.js under Node with the Obsidian and CodeMirror modules replaced by stubs
+ * Test files require this instead of src/main.js
+ */
+const Module = require('module');
+const path = require('path');
+
+const STUBS = {
+    'obsidian': path.join(__dirname, 'stubs', 'obsidian.js'),
+    '@codemirror/state': path.join(__dirname, 'stubs', 'codemirror.js'),
+    '@codemirror/view': path.join(__dirname, 'stubs', 'codemirror.js'),
+    '@codemirror/commands': path.join(__dirname, 'stubs', 'codemirror.js')
+};
+
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function (request, ...args) {
+    return STUBS[request] || resolveFilename.call(this, request, ...args);
+};
+
+const Insertive = require('../src/main.js');
+const obsidian = require('obsidian');
+
+/**
+ * Create a plugin with the given stored data.json contents and load its settings
+ * Only the managers that don't need a real editor are set up
+ * @param {?object} data - The stored settings (null for a fresh install)
+ * @returns {Promise<InsertivePlugin>} The plugin
+ */
+async function createPlugin(data = null) {
+    const plugin = new Insertive();
+    plugin.data = structuredClone(data);
+    plugin.commandManager = new Insertive.CommandManager(plugin);
+    plugin.contextMenuManager = new Insertive.ContextMenuManager(plugin);
+    await plugin.loadSettings();
+    return plugin;
+}
+
+module.exports = { Insertive, obsidian, createPlugin };
@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Insertive } = require('./setup');
+
+const { SnippetGroups, CONSTANTS } = Insertive;
+
+describe('SnippetGroups', () => {
+    it('normalizes group paths', () => {
+        assert.equal(SnippetGroups.normalize(' /Work// Meetings /'), 'Work/Meetings');
+        assert.equal(SnippetGroups.normalize(undefined), '');
+    });
+
+    it('lists a path and its ancestors', () => {
+        assert.deepEqual(SnippetGroups.getAncestors('a/b/c'), ['a', 'a/b', 'a/b/c']);
+        assert.deepEqual(SnippetGroups.getAncestors(''), []);
+    });
+
+    it('adds records for new paths and keeps existing ones', () => {
+        const groups = [{ path: 'Work', icon: 'briefcase', disabled: true }];
+
+        assert.deepEqual(SnippetGroups.sync(groups, ['Work/Meetings', 'Home']), [
+            { path: 'Work', icon: 'briefcase', disabled: true },
+            { path: 'Work/Meetings', icon: CONSTANTS.DEFAULT_GROUP_ICON },
+            { path: 'Home', icon: CONSTANTS.DEFAULT_GROUP_ICON }
+        ]);
+    });
+
+    it('builds a tree ordered by the group records, with counts', () => {
+        const snippets = [{ key: 'a', group: 'B' }, { key: 'b', group: 'A/Sub' }, { key: 'c', group: '' }];
+        const tree = SnippetGroups.buildTree(snippets, [{ path: 'B', icon: 'x' }, { path: 'A', icon: 'y' }]);
+
+        assert.equal(tree.count, 3);
+        assert.deepEqual(tree.snippets.map(snippet => snippet.key), ['c']);
+        assert.deepEqual(tree.children.map(node => [node.path, node.icon, node.count]), [['B', 'x', 1], ['A', 'y', 1]]);
+        assert.equal(tree.children[1].children[0].path, 'A/Sub');
+    });
+
+    it('moves a group among its siblings', () => {
+        const groups = [{ path: 'A' }, { path: 'A/x' }, { path: 'B' }];
+        assert.deepEqual(SnippetGroups.move(groups, 'B', -1).map(group => group.path), ['B', 'A/x', 'A']);
+        assert.equal(SnippetGroups.move(groups, 'A', -1), groups);
+    });
+
+    it('finds the disabled group a path is in', () => {
+        const groups = [{ path: 'Work', disabled: true }, { path: 'Work/Meetings' }, { path: 'Home' }];
+
+        assert.equal(SnippetGroups.getDisabledAncestor(groups, 'Work/Meetings'), 'Work');
+        assert.equal(SnippetGroups.getDisabledAncestor(groups, 'Home'), '');
+        assert.equal(SnippetGroups.getDisabledAncestor(groups, ''), '');
+    });
+});
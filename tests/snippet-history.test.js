@@ -0,0 +1,127 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Insertive } = require('./setup');
+
+const { SnippetHistory, SnippetRecord, CONSTANTS } = Insertive;
+
+describe('SnippetHistory', () => {
+    let settings;
+    let snippet;
+
+    beforeEach(() => {
+        snippet = SnippetRecord.create({ key: 'note', body: 'one' });
+        settings = { ...structuredClone(CONSTANTS.DEFAULT_SETTINGS), snippets: [snippet] };
+    });
+
+    describe('revisions', () => {
+        it('keeps the previous version when the content changes', () => {
+            assert.equal(SnippetHistory.record(settings, snippet, { ...snippet, body: 'two' }), true);
+
+            const [revision] = SnippetHistory.getRevisions(settings, snippet.id);
+            assert.equal(revision.snippet.body, 'one');
+            assert.equal(revision.snippet.id, undefined);
+            assert.equal(typeof revision.savedAt, 'number');
+        });
+
+        it('ignores saves that change nothing, including cleared options', () => {
+            const updated = { ...snippet, selectionPattern: '', keepWhitespace: false };
+            assert.equal(SnippetHistory.record(settings, snippet, updated), false);
+            assert.deepEqual(SnippetHistory.getRevisions(settings, snippet.id), []);
+        });
+
+        it('ignores a save without changes of a record from before selection modes', () => {
+            const updated = { ...snippet, selectionMode: 'lines', selectionPattern: '', selectionDelimiter: '', keepWhitespace: false };
+            assert.equal(SnippetHistory.record(settings, snippet, updated), false);
+            assert.equal(SnippetHistory.record(settings, snippet, { ...updated, selectionMode: 'whole' }), true);
+        });
+
+        it('keeps the newest versions up to the limit', () => {
+            for (let n = 0; n < CONSTANTS.REVISION_LIMIT + 2; n++) {
+                SnippetHistory.record(settings, { ...snippet, body: `v${n}` }, { ...snippet, body: `v${n + 1}` });
+            }
+
+            const revisions = SnippetHistory.getRevisions(settings, snippet.id);
+            assert.equal(revisions.length, CONSTANTS.REVISION_LIMIT);
+            assert.equal(revisions[0].snippet.body, `v${CONSTANTS.REVISION_LIMIT + 1}`);
+        });
+
+        it('restores a revision under the current key and keeps the current version', () => {
+            SnippetHistory.record(settings, { ...snippet, key: 'old', icon: 'hand' }, snippet);
+            const [revision] = SnippetHistory.getRevisions(settings, snippet.id);
+            snippet.body = 'changed';
+
+            SnippetHistory.restoreRevision(settings, snippet, revision);
+
+            assert.equal(snippet.key, 'note');
+            assert.equal(snippet.body, 'one');
+            assert.equal(snippet.icon, 'hand');
+            assert.equal(SnippetHistory.getRevisions(settings, snippet.id)[0].snippet.body, 'changed');
+        });
+    });
+
+    describe('trash', () => {
+        it('moves deleted snippets to the trash and back', () => {
+            SnippetHistory.trash(settings, snippet);
+            assert.deepEqual(settings.snippets, []);
+            assert.equal(settings.trash[0].key, 'note');
+
+            const restored = SnippetHistory.restore(settings, snippet.id);
+            assert.deepEqual(restored, snippet);
+            assert.deepEqual(settings.trash, []);
+        });
+
+        it('keeps hotkeys with the trashed snippet, not on the restored record', () => {
+            const hotkeys = [{ modifiers: ['Mod'], key: 'N' }];
+            SnippetHistory.trash(settings, snippet, hotkeys);
+            assert.deepEqual(settings.trash[0].hotkeys, hotkeys);
+
+            assert.deepEqual(SnippetHistory.restore(settings, snippet.id), snippet);
+        });
+
+        it('restores under a new key when the key was taken', () => {
+            SnippetHistory.trash(settings, snippet);
+            settings.snippets.push(SnippetRecord.create({ key: 'note', body: 'new' }), SnippetRecord.create({ key: 'note-restored', body: '' }));
+
+            assert.equal(SnippetHistory.restore(settings, snippet.id).key, 'note-restored-2');
+        });
+
+        it('purges the revisions and usage of snippets deleted for good', () => {
+            SnippetHistory.record(settings, snippet, { ...snippet, body: 'two' });
+            settings.usage[snippet.id] = { count: 1, lastUsed: 1 };
+            SnippetHistory.trash(settings, snippet);
+
+            SnippetHistory.purge(settings, snippet.id);
+
+            assert.deepEqual(settings.trash, []);
+            assert.deepEqual(settings.revisions, {});
+            assert.deepEqual(settings.usage, {});
+        });
+
+        it('drops the oldest snippets beyond the limit', () => {
+            const snippets = Array.from({ length: CONSTANTS.TRASH_LIMIT + 1 }, (_, n) => SnippetRecord.create({ key: `s${n}`, body: '' }));
+            settings.snippets = snippets;
+            snippets.forEach(s => SnippetHistory.trash(settings, s));
+
+            assert.equal(settings.trash.length, CONSTANTS.TRASH_LIMIT);
+            assert.equal(settings.trash.at(-1).key, 's1');
+        });
+    });
+
+    describe('diffLines', () => {
+        it('marks removed, added and unchanged lines in order', () => {
+            assert.deepEqual(SnippetHistory.diffLines('a\nb\nc', 'a\nc\nd'), [
+                { type: 'same', text: 'a' },
+                { type: 'removed', text: 'b' },
+                { type: 'same', text: 'c' },
+                { type: 'added', text: 'd' }
+            ]);
+        });
+
+        it('shows a changed line as removed then added', () => {
+            assert.deepEqual(SnippetHistory.diffLines('x', 'y'), [
+                { type: 'removed', text: 'x' },
+                { type: 'added', text: 'y' }
+            ]);
+        });
+    });
+});
@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Insertive } = require('./setup');
+
+const { SnippetLibrary, SnippetProcessor, SettingsMigrator } = Insertive;
+
+describe('SnippetLibrary.stripJsonComments', () => {
+    it('removes comments and trailing commas', () => {
+        const text = '{\n  // note\n  "a": [1, 2, /* last */],\n}';
+        assert.deepEqual(JSON.parse(SnippetLibrary.stripJsonComments(text)), { a: [1, 2] });
+    });
+
+    it('leaves strings alone', () => {
+        const text = '{ "list": { "body": "[a, ] {b, } // c", }, }';
+        assert.deepEqual(JSON.parse(SnippetLibrary.stripJsonComments(text)), { list: { body: '[a, ] {b, } // c' } });
+    });
+});
+
+describe('SnippetLibrary.parse', () => {
+    const keys = (entries) => entries.map(entry => entry.key);
+
+    it('reads Insertive exports and version 1 settings files', () => {
+        const exported = SnippetLibrary.serialize([{ key: 'greet', body: 'Hello {1}', icon: 'hand', group: 'Work', trigger: '' }]);
+        assert.deepEqual(keys(SnippetLibrary.parse(exported, 'library.json')), ['greet']);
+
+        const settings = JSON.stringify({ snippets: { greet: 'Hello {1}', bye: 'Bye' }, icons: { greet: 'hand' } });
+        const entries = SnippetLibrary.parse(settings, 'data.json');
+        assert.deepEqual(keys(entries), ['greet', 'bye']);
+        assert.equal(entries[0].icon, 'hand');
+    });
+
+    it('escapes version 1 settings bodies like the settings migration', () => {
+        const body = '# {{title}} costs $5 {1}';
+        const [entry] = SnippetLibrary.parse(JSON.stringify({ snippets: { note: body } }), 'data.json');
+        const [migrated] = SettingsMigrator.migrate({ snippets: { note: body } }).snippets;
+
+        assert.equal(entry.body, migrated.body);
+        assert.equal(SnippetProcessor.renderSnippet(entry.body, 'x').text, '# {{title}} costs $5 x');
+    });
+
+    it('reads Espanso matches, keeping dollar amounts and the cursor marker', () => {
+        const [entry] = SnippetLibrary.parse('{"matches": [{"trigger": ":tip", "replace": "costs $5 $|$"}]}', 'base.yml');
+        const { text, stops } = SnippetProcessor.renderSnippet(entry.body, '');
+
+        assert.equal(entry.key, 'tip');
+        assert.equal(text, 'costs $5 ');
+        assert.deepEqual(stops, [{ index: 0, from: 9, to: 9 }]);
+    });
+
+    it('reads VS Code snippets, including one named "snippets"', () => {
+        const text = JSON.stringify({
+            snippets: { prefix: 'snip', body: 'Snippet' },
+            Log: { prefix: 'log', body: ['console.log($1);'] }
+        });
+        const entries = SnippetLibrary.parse(text, 'notes.code-snippets');
+
+        assert.deepEqual(keys(entries), ['snip', 'log']);
+        assert.equal(entries[0].body, 'Snippet');
+        assert.equal(entries[1].trigger, 'log');
+    });
+});
+
+describe('SnippetLibrary.convertVSCodeVariables', () => {
+    it('maps the selected text to the whole selection', () => {
+        assert.equal(SnippetLibrary.convertVSCodeVariables('> ${TM_SELECTED_TEXT} ($CURRENT_YEAR)'), '> {selection} ({{date:YYYY}})');
+    });
+
+    it('keeps unknown variables', () => {
+        assert.equal(SnippetLibrary.convertVSCodeVariables('$UNKNOWN'), '$UNKNOWN');
+    });
+});
@@ -0,0 +1,161 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Insertive } = require('./setup');
+
+const { SnippetProcessor } = Insertive;
+
+describe('SnippetProcessor.processTemplate', () => {
+    describe('positional placeholders', () => {
+        it('fills {1}, {2}, ... with the selected lines', () => {
+            assert.equal(SnippetProcessor.processTemplate('- {1}\n- {2}\n- {3}', 'a\nb\nc'), '- a\n- b\n- c');
+        });
+
+        it('gives {2} only the second line, not the rest of the selection', () => {
+            assert.equal(SnippetProcessor.processTemplate('{1} / {2}', 'a\nb\nc'), 'a / b');
+        });
+
+        it('leaves positions beyond the selection empty', () => {
+            assert.equal(SnippetProcessor.processTemplate('[{1}] [{2}]', 'only'), '[only] []');
+        });
+
+        it('fills {selection} with the whole selection', () => {
+            assert.equal(SnippetProcessor.processTemplate('> {selection}', 'a\nb'), '> a\nb');
+        });
+
+        it('leaves the template untouched when nothing is selected', () => {
+            assert.equal(SnippetProcessor.processTemplate('Hello {1}', ''), 'Hello {1}');
+        });
+    });
+
+    describe('whitespace', () => {
+        it('trims lines and skips blank lines by default', () => {
+            assert.equal(SnippetProcessor.processTemplate('{1}|{2}', '  a  \n\n  b'), 'a|b');
+        });
+
+        it('keeps indentation and blank lines with keepWhitespace', () => {
+            const options = { keepWhitespace: true };
+            assert.equal(SnippetProcessor.processTemplate('{1}|{2}|{3}', '  a\n\n  b', {}, options), '  a||  b');
+        });
+    });
+
+    describe('selection modes', () => {
+        it('uses the whole selection as {1} in whole mode', () => {
+            assert.equal(SnippetProcessor.processTemplate('<{1}>', 'a\nb', {}, { selectionMode: 'whole' }), '<a\nb>');
+        });
+
+        it('repeats the template for each line in each-line mode', () => {
+            assert.equal(SnippetProcessor.processTemplate('- [ ] {1}', 'a\nb', {}, { selectionMode: 'each-line' }), '- [ ] a\n- [ ] b');
+        });
+
+        it('splits paragraphs', () => {
+            assert.equal(SnippetProcessor.processTemplate('{2}', 'one\nline\n\ntwo', {}, { selectionMode: 'paragraphs' }), 'two');
+        });
+
+        it('uses regex capture groups', () => {
+            const options = { selectionMode: 'regex', selectionPattern: '(\\S+)\\s+(.*)' };
+            assert.equal(SnippetProcessor.processTemplate('[{2}]({1})', 'https://obsidian.md Obsidian', {}, options), '[Obsidian](https://obsidian.md)');
+        });
+
+        it('splits on a delimiter', () => {
+            const options = { selectionMode: 'delimiter', selectionDelimiter: ',' };
+            assert.equal(SnippetProcessor.processTemplate('{3}-{1}', 'a, b, c', {}, options), 'c-a');
+        });
+    });
+
+    describe('named placeholders', () => {
+        it('repeats a value wherever its name appears', () => {
+            assert.equal(SnippetProcessor.processTemplate('{{who}} and {{who}}', '', { who: 'Ann' }), 'Ann and Ann');
+        });
+
+        it('falls back to defaults and the first option', () => {
+            assert.equal(SnippetProcessor.processTemplate('{{who=Anonymous}} {{status|open,closed}}', ''), 'Anonymous open');
+        });
+
+        it('inserts escaped double braces as written', () => {
+            assert.equal(SnippetProcessor.processTemplate('# \\{{title}} {{who=Ann}} \\{{> footer}}', ''), '# {{title}} Ann {{> footer}}');
+            assert.equal(SnippetProcessor.processTemplate('{{#if selection}}{1} \\{{else}} y{{/if}}', 'x'), 'x {{else}} y');
+            assert.deepEqual(SnippetProcessor.extractNamedPlaceholders('\\{{title}} {{who}}').map(placeholder => placeholder.name), ['who']);
+        });
+
+        it('applies a default declared once to every occurrence of the name', () => {
+            assert.equal(SnippetProcessor.processTemplate('{{status|open,closed}} / {{status}}', ''), 'open / open');
+            assert.equal(SnippetProcessor.processTemplate('{{who}} and {{who=Ann}}', ''), 'Ann and Ann');
+        });
+    });
+
+    describe('blocks', () => {
+        it('repeats an each block per line with its index, keeping header and footer', () => {
+            const template = '| # | Item |\n{{#each line}}\n| {{index}} | {{line}} |\n{{/each}}\nend';
+            assert.equal(SnippetProcessor.processTemplate(template, 'a\nb'), '| # | Item |\n| 1 | a |\n| 2 | b |\nend');
+        });
+
+        it('picks the if or else branch depending on the selection', () => {
+            const template = '{{#if selection}}> {selection}{{else}}empty{{/if}}';
+            assert.equal(SnippetProcessor.processTemplate(template, 'quote'), '> quote');
+            assert.equal(SnippetProcessor.processTemplate(template, ''), 'empty');
+        });
+
+        it('tests named values in conditions', () => {
+            const template = '{{#if note}}Note: {{note}}{{/if}}';
+            assert.equal(SnippetProcessor.processTemplate(template, '', { note: 'hi' }), 'Note: hi');
+            assert.equal(SnippetProcessor.processTemplate(template, '', { note: '' }), '');
+        });
+    });
+
+    describe('filters', () => {
+        it('chains filters left to right', () => {
+            assert.equal(SnippetProcessor.processTemplate('{1|trim|upper|wrap:**}', 'bold'), '**BOLD**');
+        });
+
+        it('builds slugs and wikilinks', () => {
+            assert.equal(SnippetProcessor.processTemplate('{selection|slug} {selection|wikilink}', 'My Note!'), 'my-note [[My Note!]]');
+        });
+
+        it('prefixes every line', () => {
+            assert.equal(SnippetProcessor.processTemplate('{selection|quote}', 'a\nb', {}, { selectionMode: 'whole' }), '> a\n> b');
+        });
+
+        it('skips unknown filters', () => {
+            assert.equal(SnippetProcessor.processTemplate('{1|nope|lower}', 'ABC'), 'abc');
+        });
+    });
+});
+
+describe('SnippetProcessor includes', () => {
+    const bodies = { footer: '-- {{> sig}}', sig: 'Ann', loop: '{{> loop}}' };
+    const lookup = (key) => bodies[key];
+
+    it('expands includes recursively', () => {
+        assert.equal(SnippetProcessor.expandIncludes('Hi\n{{> footer}}', lookup), 'Hi\n-- Ann');
+    });
+
+    it('throws on an include cycle', () => {
+        assert.throws(() => SnippetProcessor.expandIncludes('{{> loop}}', lookup, ['start']));
+    });
+
+    it('renames includes of a key', () => {
+        assert.equal(SnippetProcessor.renameIncludes('{{> footer}} {{>footer}} {{> sig}}', 'footer', 'end'), '{{> end}} {{> end}} {{> sig}}');
+    });
+});
+
+describe('SnippetProcessor.renderSnippet', () => {
+    it('returns the text without tab stop markers and the stop ranges', () => {
+        const { text, stops } = SnippetProcessor.renderSnippet('> [!note] ${1:Title}\n> $0', '');
+        assert.equal(text, '> [!note] Title\n> ');
+        assert.deepEqual(stops[0], { index: 1, from: 10, to: 15 });
+    });
+
+    it('inserts escaped dollar signs as written', () => {
+        const { text, stops } = SnippetProcessor.renderSnippet(Insertive.TabStops.escape('Price: $5, \\$6'), '');
+        assert.equal(text, 'Price: $5, \\$6');
+        assert.deepEqual(stops, []);
+    });
+});
+
+describe('SnippetProcessor.extractNamedPlaceholders', () => {
+    it('lists each placeholder once, without loop variables', () => {
+        const names = SnippetProcessor.extractNamedPlaceholders('{{a}} {{b=x}} {{a}} {{#each line}}{{line}}{{index}}{{/each}}')
+            .map(placeholder => placeholder.name);
+        assert.deepEqual(names, ['a', 'b']);
+    });
+});
@@ -0,0 +1,50 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Insertive } = require('./setup');
+
+const { SnippetRecord, CONSTANTS } = Insertive;
+
+describe('SnippetRecord', () => {
+    it('creates records with an id and defaults', () => {
+        const record = SnippetRecord.create({ key: 'note', body: 'text', pinned: true });
+
+        assert.equal(typeof record.id, 'string');
+        assert.deepEqual({ ...record, id: undefined }, {
+            id: undefined, key: 'note', body: 'text', icon: CONSTANTS.DEFAULT_ICON, group: '', trigger: '', pinned: true
+        });
+    });
+
+    it('picks only the optional fields that are set', () => {
+        assert.deepEqual(SnippetRecord.pickOptionalFields({ key: 'x', selectionMode: 'whole', keepWhitespace: false, disabled: true }), {
+            selectionMode: 'whole',
+            disabled: true
+        });
+    });
+
+    it('replaces a record without keeping optional fields the new version leaves out', () => {
+        const record = SnippetRecord.create({ key: 'note', body: 'old', selectionMode: 'regex', selectionPattern: '(.*)', scope: { tags: ['#a'] } });
+        const { id } = record;
+        SnippetRecord.replace(record, { key: 'note', body: 'new', icon: 'hand', group: '', trigger: '', keepWhitespace: true });
+
+        assert.deepEqual(record, { id, key: 'note', body: 'new', icon: 'hand', group: '', trigger: '', keepWhitespace: true });
+    });
+
+    it('makes keys unique with a suffix and a counter', () => {
+        const keys = new Set(['note', 'note-copy']);
+
+        assert.equal(SnippetRecord.uniqueKey('other', keys, 'copy'), 'other');
+        assert.equal(SnippetRecord.uniqueKey('note', keys, 'copy'), 'note-copy-2');
+    });
+
+    it('duplicates a snippet under a new key, with a new id and no trigger', () => {
+        const original = SnippetRecord.create({ key: 'note', body: 'text', trigger: 'n', group: 'Work', scope: { tags: ['#a'] } });
+        const copy = SnippetRecord.duplicate(original, new Set(['note']));
+
+        assert.notEqual(copy.id, original.id);
+        assert.equal(copy.key, 'note-copy');
+        assert.equal(copy.trigger, '');
+        assert.equal(copy.group, 'Work');
+        assert.deepEqual(copy.scope, original.scope);
+        assert.notEqual(copy.scope, original.scope);
+    });
+});
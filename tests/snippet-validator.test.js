@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Insertive } = require('./setup');
+
+const { SnippetValidator } = Insertive;
+
+describe('SnippetValidator', () => {
+    it('accepts keys made of letters, numbers, hyphens and underscores', () => {
+        assert.equal(SnippetValidator.validateKey('my-snippet_2').isValid, true);
+    });
+
+    it('rejects empty keys, spaces and other characters', () => {
+        assert.equal(SnippetValidator.validateKey('').isValid, false);
+        assert.equal(SnippetValidator.validateKey('two words').isValid, false);
+        assert.equal(SnippetValidator.validateKey('a/b').isValid, false);
+    });
+
+    it('rejects triggers with whitespace', () => {
+        assert.equal(SnippetValidator.validateTrigger('callout').isValid, true);
+        assert.equal(SnippetValidator.validateTrigger('').isValid, true);
+        assert.equal(SnippetValidator.validateTrigger('call out').isValid, false);
+    });
+
+    it('reports missing includes and include cycles', () => {
+        const bodies = { footer: 'bye', a: '{{> b}}', b: '{{> a}}' };
+        const lookup = (key) => bodies[key];
+
+        assert.equal(SnippetValidator.validateIncludes('note', '{{> footer}}', lookup).isValid, true);
+        assert.match(SnippetValidator.validateIncludes('note', '{{> header}}', lookup).message, /header/);
+        assert.equal(SnippetValidator.validateIncludes('a', bodies.a, lookup).isValid, false);
+    });
+
+    it('rejects unknown cursor contexts', () => {
+        assert.equal(SnippetValidator.validateScope({ contexts: ['callout', 'table'] }).isValid, true);
+        assert.match(SnippetValidator.validateScope({ contexts: ['sidebar'] }).message, /sidebar/);
+    });
+
+    it('rejects invalid selection patterns', () => {
+        assert.equal(SnippetValidator.validatePattern('(\\w+)').isValid, true);
+        assert.equal(SnippetValidator.validatePattern('(').isValid, false);
+    });
+});
+
+describe('SnippetValidator.lintTemplate', () => {
+    const messages = (text, lookup) => SnippetValidator.lintTemplate(text, lookup).map(warning => warning.message);
+
+    it('accepts well-formed templates', () => {
+        const template = '${1:x} {1} {selection|upper} {{a=b}} {{s|x,y}} {{#if a}}y{{else}}n{{/if}} {{#each l}}{{l}}{{/each}} {{> f}}';
+        assert.deepEqual(messages(template, () => ''), []);
+    });
+
+    it('catches a positional placeholder closed with the wrong bracket', () => {
+        const [warning] = SnippetValidator.lintTemplate('- {1}\n- {2]\n- {3}');
+        assert.deepEqual(warning, { from: 8, to: 10, message: '"{2" is missing its closing "}"' });
+    });
+
+    it('catches unclosed double braces and unknown filters', () => {
+        assert.deepEqual(messages('{{name}'), ['"{{" is missing its closing "}}"']);
+        assert.deepEqual(messages('{1|bogus}'), ['Unknown filter "bogus"']);
+    });
+
+    it('catches unbalanced blocks', () => {
+        assert.deepEqual(messages('{{#if a}}x'), ['{{#if}} is never closed with {{/if}}']);
+        assert.deepEqual(messages('x{{/each}}'), ['"{{/each}}" has no matching {{#each}}']);
+        assert.deepEqual(messages('{{else}}'), ['"{{else}}" is outside an {{#if}} block']);
+    });
+
+    it('catches includes of missing snippets', () => {
+        assert.deepEqual(messages('{{> nope}}', () => undefined), ['Included snippet "nope" not found']);
+    });
+});
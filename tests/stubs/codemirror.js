@@ -0,0 +1,32 @@
+/**
+ * Stand-in for @codemirror/state, @codemirror/view and @codemirror/commands, which Obsidian
+ * provides at runtime. Insertive only builds editor extensions when the plugin loads, so
+ * the tests need the modules to resolve but not to do anything.
+ */
+
+const define = () => ({ of: (value) => value });
+const extension = () => [];
+
+module.exports = {
+    EditorState: { create: () => ({}) },
+    EditorSelection: {
+        single: (anchor, head = anchor) => ({ anchor, head }),
+        cursor: (pos) => ({ anchor: pos, head: pos })
+    },
+    StateEffect: { define },
+    StateField: { define },
+    Prec: { highest: (value) => value },
+    EditorView: {
+        baseTheme: extension,
+        decorations: { from: extension },
+        inputHandler: { of: extension },
+        updateListener: { of: extension },
+        lineWrapping: []
+    },
+    Decoration: { none: [], set: extension, mark: () => ({ range: () => ({}) }) },
+    keymap: { of: extension },
+    history: extension,
+    defaultKeymap: [],
+    historyKeymap: [],
+    indentWithTab: {}
+};
@@ -0,0 +1,338 @@
+/**
+ * Lightweight stand-in for the parts of the Obsidian API that Insertive uses,
+ * so src/main.js can be loaded and exercised under plain Node.
+ * Only behaviour the tests rely on is modelled; everything else is a no-op.
+ */
+
+/**
+ * Notice stub that records every message so tests can assert on user feedback
+ */
+class Notice {
+    static messages = [];
+
+    constructor(message) {
+        this.message = message;
+        Notice.messages.push(message);
+    }
+
+    hide() {}
+}
+
+class Component {
+    load() {}
+    unload() {}
+    addChild(child) { return child; }
+    register() {}
+    registerEvent() {}
+}
+
+/**
+ * Hotkey manager modelled on Obsidian's internal app.hotkeyManager:
+ * custom hotkeys by command id, with commands' own hotkeys as defaults
+ */
+class HotkeyManager {
+    constructor(app) {
+        this.app = app;
+        this.customKeys = {};
+        this.saved = 0;
+    }
+
+    getHotkeys(id) { return this.customKeys[id]; }
+    getDefaultHotkeys(id) { return this.app.commands.commands[id]?.hotkeys; }
+    setHotkeys(id, hotkeys) { this.customKeys[id] = hotkeys; }
+    removeHotkeys(id) { delete this.customKeys[id]; }
+    async save() { this.saved++; }
+    bake() {}
+}
+
+/**
+ * In-memory app: commands, hotkeys, vault adapter writes, settings and workspace
+ */
+class App {
+    constructor() {
+        this.commands = {
+            commands: {},
+            listCommands: () => Object.values(this.commands.commands),
+            removeCommand: (id) => { delete this.commands.commands[id]; }
+        };
+        this.hotkeyManager = new HotkeyManager(this);
+        this.vault = {
+            files: {},
+            adapter: {
+                exists: async (path) => path in this.vault.files,
+                write: async (path, data) => { this.vault.files[path] = data; }
+            },
+            getMarkdownFiles: () => [],
+            getAbstractFileByPath: () => null,
+            cachedRead: async () => '',
+            process: async (file, fn) => fn('')
+        };
+        this.metadataCache = { getFileCache: () => null };
+        this.workspace = {
+            activeEditor: null,
+            getActiveFile: () => null,
+            on: () => ({}),
+            onLayoutReady: () => {},
+            openLinkText: async () => {}
+        };
+        this.setting = { open() {}, close() {}, openTabById() {} };
+    }
+}
+
+/**
+ * Plugin stub with data.json kept in memory
+ * Commands are stored the way Obsidian stores them: under "<plugin id>:<command id>"
+ */
+class Plugin extends Component {
+    constructor(app = new App(), manifest = { id: 'insertive', name: 'Insertive', dir: '.obsidian/plugins/insertive' }) {
+        super();
+        this.app = app;
+        this.manifest = manifest;
+        this.data = null;
+    }
+
+    async loadData() {
+        return structuredClone(this.data);
+    }
+
+    async saveData(data) {
+        this.data = structuredClone(data);
+    }
+
+    addCommand(command) {
+        command.id = `${this.manifest.id}:${command.id}`;
+        this.app.commands.commands[command.id] = command;
+        return command;
+    }
+
+    removeCommand(commandId) {
+        this.app.commands.removeCommand(`${this.manifest.id}:${commandId}`);
+    }
+
+    addSettingTab() {}
+    addRibbonIcon() {}
+    /**
+     * Status bar items are recorded in statusBarItems until removed
+     */
+    addStatusBarItem() {
+        this.statusBarItems = this.statusBarItems || [];
+        const item = {
+            addClass() {},
+            setAttribute() {},
+            addEventListener() {},
+            remove: () => { this.statusBarItems = this.statusBarItems.filter(other => other !== item); }
+        };
+        this.statusBarItems.push(item);
+        return item;
+    }
+    registerEditorExtension() {}
+    registerEditorSuggest() {}
+}
+
+class Modal {
+    constructor(app) {
+        this.app = app;
+    }
+
+    open() {}
+    close() {}
+}
+
+class FuzzySuggestModal extends Modal {}
+class EditorSuggest {}
+class PluginSettingTab {}
+
+/**
+ * Setting stub: every builder method is chainable and does nothing
+ */
+class Setting {
+    constructor() {
+        const setting = new Proxy(this, {
+            get: (target, prop) => prop in target ? target[prop] : () => setting
+        });
+        return setting;
+    }
+}
+
+/**
+ * Menu item that records its title, icon, state, click handler and submenu
+ */
+class MenuItem {
+    constructor() {
+        this.title = '';
+        this.icon = null;
+        this.disabled = false;
+        this.callback = null;
+        this.submenu = null;
+    }
+
+    setTitle(title) { this.title = title; return this; }
+    setIcon(icon) { this.icon = icon; return this; }
+    setDisabled(disabled) { this.disabled = disabled; return this; }
+    setChecked() { return this; }
+    setSection() { return this; }
+    onClick(callback) { this.callback = callback; return this; }
+
+    setSubmenu() {
+        this.submenu = new Menu();
+        return this.submenu;
+    }
+}
+
+/**
+ * Menu that records its items; separators are recorded as { separator: true }
+ */
+class Menu {
+    constructor() {
+        this.items = [];
+    }
+
+    addItem(callback) {
+        const item = new MenuItem();
+        callback(item);
+        this.items.push(item);
+        return this;
+    }
+
+    addSeparator() {
+        this.items.push({ separator: true });
+        return this;
+    }
+
+    showAtMouseEvent() {}
+    showAtPosition() {}
+}
+
+/**
+ * In-memory editor over a string, supporting several selections
+ * Positions are {line, ch} like Obsidian's EditorPosition
+ */
+class Editor {
+    /**
+     * @param {string} [value] - The document text
+     * @param {[number, number][]} [selections] - Selections as [anchor, head] offsets
+     */
+    constructor(value = '', selections = [[value.length, value.length]]) {
+        this.value = value;
+        this.selections = selections;
+    }
+
+    getValue() { return this.value; }
+    setValue(value) { this.value = value; }
+    lineCount() { return this.value.split('\n').length; }
+    getLine(line) { return this.value.split('\n')[line] ?? ''; }
+    focus() {}
+
+    posToOffset(pos) {
+        const lines = this.value.split('\n').slice(0, pos.line);
+        return lines.reduce((offset, line) => offset + line.length + 1, 0) + pos.ch;
+    }
+
+    offsetToPos(offset) {
+        const lines = this.value.slice(0, offset).split('\n');
+        return { line: lines.length - 1, ch: lines[lines.length - 1].length };
+    }
+
+    getRange(from, to) {
+        return this.value.slice(this.posToOffset(from), this.posToOffset(to));
+    }
+
+    getCursor() {
+        return this.offsetToPos(this.selections[0][1]);
+    }
+
+    getSelection() {
+        const [anchor, head] = this.selections[0];
+        return this.value.slice(Math.min(anchor, head), Math.max(anchor, head));
+    }
+
+    listSelections() {
+        return this.selections.map(([anchor, head]) => ({ anchor: this.offsetToPos(anchor), head: this.offsetToPos(head) }));
+    }
+
+    setSelection(anchor, head = anchor) {
+        this.selections = [[this.posToOffset(anchor), this.posToOffset(head)]];
+    }
+
+    setSelections(selections) {
+        this.selections = selections.map(({ anchor, head = anchor }) => [this.posToOffset(anchor), this.posToOffset(head)]);
+    }
+
+    replaceSelection(text) {
+        const [anchor, head] = this.selections[0];
+        const from = Math.min(anchor, head);
+        this.value = this.value.slice(0, from) + text + this.value.slice(Math.max(anchor, head));
+        this.selections = [[from + text.length, from + text.length]];
+    }
+
+    transaction({ changes = [], selections }) {
+        [...changes]
+            .map(change => ({ ...change, from: this.posToOffset(change.from), to: this.posToOffset(change.to ?? change.from) }))
+            .sort((a, b) => b.from - a.from)
+            .forEach(change => {
+                this.value = this.value.slice(0, change.from) + change.text + this.value.slice(change.to);
+            });
+        if (selections) {
+            this.setSelections(selections.map(({ from, to }) => ({ anchor: from, head: to })));
+        }
+    }
+}
+
+/**
+ * Minimal moment() replacement supporting the tokens the tests use
+ * @param {Date|number} [date] - The date (defaults to now)
+ */
+function moment(date = new Date()) {
+    const value = new Date(date);
+    const pad = (number) => String(number).padStart(2, '0');
+    const tokens = {
+        YYYY: () => String(value.getFullYear()),
+        MM: () => pad(value.getMonth() + 1),
+        DD: () => pad(value.getDate()),
+        HH: () => pad(value.getHours()),
+        mm: () => pad(value.getMinutes()),
+        ss: () => pad(value.getSeconds())
+    };
+
+    return {
+        format: (format = 'YYYY-MM-DDTHH:mm:ss') => format.replace(/YYYY|MM|DD|HH|mm|ss/g, (token) => tokens[token]()),
+        fromNow: () => 'a few seconds ago',
+        valueOf: () => value.getTime()
+    };
+}
+
+/**
+ * Split "---\n...\n---\n" frontmatter from a note like Obsidian's getFrontMatterInfo
+ * @param {string} content - The note text
+ */
+function getFrontMatterInfo(content) {
+    const match = content.match(/^---\n([\s\S]*?)\n---\n?/);
+    if (!match) return { exists: false, frontmatter: '', contentStart: 0 };
+    return { exists: true, frontmatter: match[1], contentStart: match[0].length };
+}
+
+module.exports = {
+    App,
+    Component,
+    Editor,
+    EditorSuggest,
+    FuzzySuggestModal,
+    MarkdownRenderer: { render: async () => {} },
+    Menu,
+    MenuItem,
+    Modal,
+    Notice,
+    Platform: { isMacOS: false },
+    Plugin,
+    PluginSettingTab,
+    Setting,
+    editorInfoField: {},
+    getAllTags: (cache) => cache.tags?.map(({ tag }) => tag) || [],
+    getFrontMatterInfo,
+    moment,
+    normalizePath: (path) => path.replace(/\/+/g, '/').replace(/^\/|\/$/g, ''),
+    // JSON is a subset of YAML, which is all the tests need
+    parseYaml: (text) => JSON.parse(text),
+    prepareFuzzySearch: (query) => (text) => text.toLowerCase().includes(query.toLowerCase()) ? { score: 0, matches: [] } : null,
+    setIcon() {}
+};